@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+// PedalPath CLI: statistics for a directory of route files.
+//
+//   node cli.js <directory|file>... [--format table|json|csv] [--recursive] [--clean]
+//
+// Every GPX, FIT, TCX, KML and GeoJSON file is parsed with the shared core
+// and printed as one row per route followed by the totals. Files that fail to
+// parse are reported on stderr and do not stop the rest; the exit code is 1
+// when nothing could be read.
+const fs = require('fs');
+const path = require('path');
+const {
+    importRoutes,
+    findImporter,
+    findGlitches,
+    cleanRoute,
+    calculateTotals,
+    getRouteDate
+} = require('./core.js');
+
+const FORMATS = ['table', 'json', 'csv'];
+const USAGE = 'Usage: node cli.js <directory|file>... [--format table|json|csv] [--recursive] [--clean]';
+
+// Report columns: `value` returns the number or text written to JSON and CSV,
+// `digits` the rounding used for the table
+const COLUMNS = [
+    { key: 'file', label: 'File', value: row => row.file },
+    { key: 'name', label: 'Route', value: row => row.name },
+    { key: 'date', label: 'Date', value: row => row.date !== undefined && row.date !== null ? new Date(row.date).toISOString().slice(0, 10) : null },
+    { key: 'distanceKm', label: 'Distance km', value: row => row.distance / 1000, digits: 1 },
+    { key: 'ascentM', label: 'Ascent m', value: row => row.ascent, digits: 0 },
+    { key: 'descentM', label: 'Descent m', value: row => row.descent, digits: 0 },
+    { key: 'maxElevationM', label: 'Max ele m', value: row => row.elevation, digits: 0 },
+    { key: 'movingTime', label: 'Moving', value: row => row.movingTime, duration: true },
+    { key: 'elapsedTime', label: 'Elapsed', value: row => row.elapsedTime, duration: true },
+    { key: 'avgSpeedKmh', label: 'Avg km/h', value: row => row.avgSpeed !== null && row.avgSpeed !== undefined ? row.avgSpeed * 3.6 : null, digits: 1 },
+    { key: 'maxSpeedKmh', label: 'Max km/h', value: row => row.maxSpeed !== null && row.maxSpeed !== undefined ? row.maxSpeed * 3.6 : null, digits: 1 },
+    { key: 'avgHeartRate', label: 'Avg HR', value: row => sensorAverage(row, 'heartRate'), digits: 0 },
+    { key: 'avgPower', label: 'Avg W', value: row => sensorAverage(row, 'power'), digits: 0 }
+];
+
+function sensorAverage(row, channel) {
+    const stats = (row.sensorStats || {})[channel];
+    return stats ? stats.avg : null;
+}
+
+function parseArguments(args) {
+    const options = { inputs: [], format: 'table', recursive: false, clean: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--format' || arg === '-f') {
+            options.format = args[++i];
+        } else if (arg.startsWith('--format=')) {
+            options.format = arg.slice('--format='.length);
+        } else if (arg === '--recursive' || arg === '-r') {
+            options.recursive = true;
+        } else if (arg === '--clean') {
+            options.clean = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.inputs.push(arg);
+        }
+    }
+
+    if (!FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}", expected one of ${FORMATS.join(', ')}`);
+    }
+    if (options.inputs.length === 0 && !options.help) {
+        throw new Error('No directory or file given');
+    }
+    return options;
+}
+
+// Files with a supported extension in a directory (sorted by name), or the file itself
+function collectFiles(input, recursive) {
+    const stat = fs.statSync(input);
+    if (!stat.isDirectory()) {
+        return [input];
+    }
+
+    return fs.readdirSync(input, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const fullPath = path.join(input, entry.name);
+            if (entry.isDirectory()) {
+                return recursive ? collectFiles(fullPath, recursive) : [];
+            }
+            // Without content to sniff, findImporter goes by the extension
+            return findImporter(entry.name, new Uint8Array(0)) ? [fullPath] : [];
+        });
+}
+
+function readRoutes(file, clean) {
+    const buffer = fs.readFileSync(file);
+    const routes = importRoutes(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength), path.basename(file));
+    if (!routes) {
+        throw new Error('Unsupported format');
+    }
+    if (routes.length === 0) {
+        throw new Error('No track points');
+    }
+
+    return clean
+        ? routes.map(route => {
+            const glitches = findGlitches(route);
+            return glitches.total > 0 ? cleanRoute(route, glitches) : route;
+        })
+        : routes;
+}
+
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+function formatCell(column, value) {
+    if (value === null || value === undefined || Number.isNaN(value)) return '';
+    if (column.duration) return formatDuration(value);
+    if (column.digits !== undefined) return value.toFixed(column.digits);
+    return String(value);
+}
+
+function printTable(rows) {
+    const cells = rows.map(row => COLUMNS.map(column => formatCell(column, column.value(row))));
+    const header = COLUMNS.map(column => column.label);
+    const widths = header.map((label, index) => Math.max(label.length, ...cells.map(line => line[index].length)));
+    const numeric = COLUMNS.map(column => column.digits !== undefined || column.duration);
+    const formatLine = line => line
+        .map((cell, index) => numeric[index] ? cell.padStart(widths[index]) : cell.padEnd(widths[index]))
+        .join('  ')
+        .trimEnd();
+
+    const lines = [formatLine(header), widths.map(width => '-'.repeat(width)).join('  ')];
+    cells.forEach((line, index) => {
+        if (index === cells.length - 1) {
+            lines.push(widths.map(width => '-'.repeat(width)).join('  '));
+        }
+        lines.push(formatLine(line));
+    });
+    console.log(lines.join('\n'));
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function printCSV(rows) {
+    const lines = [COLUMNS.map(column => column.key).join(',')];
+    rows.forEach(row => {
+        lines.push(COLUMNS.map(column => {
+            const value = column.value(row);
+            return csvField(typeof value === 'number' ? Number(value.toFixed(column.digits ?? 0)) : value);
+        }).join(','));
+    });
+    console.log(lines.join('\n'));
+}
+
+function printJSON(rows, totals) {
+    const toObject = row => Object.fromEntries(COLUMNS.map(column => [column.key, column.value(row) ?? null]));
+    const { file, name, ...totalValues } = toObject(totals);
+    console.log(JSON.stringify({
+        routes: rows.map(toObject),
+        totals: { routeCount: totals.routeCount, ...totalValues }
+    }, null, 2));
+}
+
+function main(args) {
+    let options;
+    try {
+        options = parseArguments(args);
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const rows = [];
+    let failures = 0;
+    options.inputs.forEach(input => {
+        let files;
+        try {
+            files = collectFiles(input, options.recursive);
+        } catch (error) {
+            console.error(`${input}: ${error.message}`);
+            failures++;
+            return;
+        }
+
+        files.forEach(file => {
+            try {
+                readRoutes(file, options.clean).forEach(route => {
+                    rows.push({ ...route, file: path.relative(process.cwd(), file), date: getRouteDate(route) });
+                });
+            } catch (error) {
+                console.error(`${file}: ${error.message}`);
+                failures++;
+            }
+        });
+    });
+
+    if (rows.length === 0) {
+        console.error(failures > 0 ? 'No routes could be read.' : 'No route files found.');
+        return 1;
+    }
+
+    const totals = calculateTotals(rows);
+    const totalRow = {
+        ...totals,
+        file: '',
+        name: `Total (${totals.routeCount} routes)`,
+        date: totals.startTime,
+        elevation: totals.maxElevation,
+        sensorStats: totals.sensors
+    };
+
+    if (options.format === 'json') {
+        printJSON(rows, totalRow);
+    } else if (options.format === 'csv') {
+        printCSV([...rows, totalRow]);
+    } else {
+        printTable([...rows, totalRow]);
+    }
+    return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
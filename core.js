@@ -0,0 +1,2348 @@
+// PedalPath core: route parsing, statistics and export.
+// Shared by the page (loaded before script.js) and the import worker
+// (loaded with importScripts), so nothing in here may touch the DOM or the map.
+// In Node, require('./core.js') returns the public API listed at the end of
+// this file and documented in the README ("Core library").
+
+const ELEVATION_THRESHOLD = 4; // Meters of change ignored as GPS/barometer noise
+const GRADIENT_WINDOW = 100; // Meters of distance over which gradients are measured
+const MOVING_SPEED_THRESHOLD = 1; // m/s (3.6 km/h); slower stretches count as paused
+const MIN_PAUSE_DURATION = 60; // Seconds of standstill reported as a pause
+const MAX_SPEED_WINDOW = 5; // Seconds over which max speed is measured, to smooth GPS spikes
+const SIMPLIFY_TOLERANCES = [200, 40, 8]; // Meters; Douglas-Peucker levels kept for low zooms
+const SENSOR_CHANNELS = ['heartRate', 'cadence', 'power', 'temperature']; // bpm, rpm, W and °C per point
+const DUPLICATE_TIME_WINDOW = 1000; // ms; points at the same position recorded closer together are duplicates
+const MAX_PLAUSIBLE_SPEED = 30; // m/s (108 km/h); faster jumps between points are GPS spikes
+const SPIKE_LOOKAHEAD = 5; // Points after a jump searched for the track returning to where it was
+const ELEVATION_OUTLIER_THRESHOLD = 50; // Meters from the local median that mark an elevation glitch
+const ELEVATION_OUTLIER_WINDOW = 200; // Meters of track on each side used for the local median
+const EXPLORER_ZOOM = 14; // Tile zoom level of explorer squares (about 1.5 km wide at mid latitudes)
+const COVERAGE_SAMPLE_SPACING = 50; // Meters between points sampled along routes for heatmaps and squares
+const CLIMB_MAX_DIP = 20; // Meters a climb may drop below its top (or 20% of its gain, if more) before it ends
+const CLIMB_MIN_GRADIENT = 3; // Percent; flatter stretches are not reported as climbs
+const SEGMENT_MATCH_DISTANCE = 40; // Meters a route may stray from a segment and still count as riding it
+const SEGMENT_CHECKPOINT_SPACING = 100; // Meters between segment points an effort has to pass in order
+const DUPLICATE_DISTANCE_TOLERANCE = 0.02; // Relative difference in distance between duplicate routes
+const DUPLICATE_START_WINDOW = 60000; // ms between the start times of duplicate recordings
+// Climb categories by score (length in meters × average gradient in percent)
+const CLIMB_CATEGORIES = [
+    { name: 'HC', minScore: 80000 },
+    { name: 'Cat 1', minScore: 64000 },
+    { name: 'Cat 2', minScore: 32000 },
+    { name: 'Cat 3', minScore: 16000 },
+    { name: 'Cat 4', minScore: 8000 }
+];
+
+// Escape text for use inside HTML templates
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// XML Parsing
+// GPX/TCX/KML are read with the browser's DOMParser where there is one. Workers
+// and Node have none, so there this small non-validating parser is used. Its
+// elements expose the subset of the DOM API the parsers use: localName,
+// children, textContent, getAttribute and getElementsByTagNameNS('*', name).
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class XMLElement {
+    constructor(name, attributes = {}) {
+        this.nodeName = name;
+        this.localName = name.includes(':') ? name.slice(name.indexOf(':') + 1) : name;
+        this.attributes = attributes;
+        this.children = [];
+        this.childNodes = []; // Child elements and text, in document order
+    }
+
+    appendChild(node) {
+        this.childNodes.push(node);
+        if (typeof node !== 'string') {
+            this.children.push(node);
+        }
+    }
+
+    getAttribute(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => typeof node === 'string' ? node : node.textContent).join('');
+    }
+
+    // Namespace is ignored; matching is by local name ('*' matches every element)
+    getElementsByTagNameNS(namespace, localName) {
+        const matches = [];
+        const visit = element => {
+            element.children.forEach(child => {
+                if (localName === '*' || child.localName === localName) matches.push(child);
+                visit(child);
+            });
+        };
+        visit(this);
+        return matches;
+    }
+}
+
+// Whether a character reference names a character allowed in XML 1.0
+function isXMLCharacter(code) {
+    return code === 0x9 || code === 0xA || code === 0xD ||
+        (code >= 0x20 && code <= 0xD7FF) ||
+        (code >= 0xE000 && code <= 0xFFFD) ||
+        (code >= 0x10000 && code <= 0x10FFFF);
+}
+
+// Replace character references and the predefined entities. Unknown named
+// entities (e.g. HTML's &nbsp;) are kept as written.
+function decodeXMLEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            if (!isXMLCharacter(code)) {
+                throw new Error(`XML parse error: invalid character reference ${match}`);
+            }
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[entity] ?? match;
+    });
+}
+
+// Parse an XML string into a DOM Document, or XMLElements where DOMParser is
+// missing. Throws on malformed input.
+function parseXMLDocument(content) {
+    if (typeof DOMParser === 'undefined') {
+        return parseXMLElements(content);
+    }
+
+    const xmlDoc = new DOMParser().parseFromString(content, 'application/xml');
+    if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('XML parse error');
+    }
+    return xmlDoc;
+}
+
+function parseXMLElements(content) {
+    const document = new XMLElement('#document');
+    const stack = [document];
+    const startTagPattern = /<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+    const attributePattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let position = 0;
+
+    function fail() {
+        throw new Error(`XML parse error near character ${position}`);
+    }
+
+    while (position < content.length) {
+        const tagStart = content.indexOf('<', position);
+        const text = content.slice(position, tagStart === -1 ? content.length : tagStart);
+        if (text && stack.length > 1) {
+            stack[stack.length - 1].appendChild(decodeXMLEntities(text));
+        } else if (text.trim()) {
+            fail();
+        }
+        if (tagStart === -1) break;
+        position = tagStart;
+
+        if (content.startsWith('<!--', tagStart)) {
+            const end = content.indexOf('-->', tagStart + 4);
+            if (end === -1) fail();
+            position = end + 3;
+        } else if (content.startsWith('<![CDATA[', tagStart)) {
+            const end = content.indexOf(']]>', tagStart + 9);
+            if (end === -1 || stack.length === 1) fail();
+            stack[stack.length - 1].appendChild(content.slice(tagStart + 9, end));
+            position = end + 3;
+        } else if (content.startsWith('<?', tagStart)) {
+            const end = content.indexOf('?>', tagStart + 2);
+            if (end === -1) fail();
+            position = end + 2;
+        } else if (content.startsWith('<!', tagStart)) {
+            // DOCTYPE and other declarations are skipped
+            const end = content.indexOf('>', tagStart + 2);
+            if (end === -1) fail();
+            position = end + 1;
+        } else if (content.startsWith('</', tagStart)) {
+            const end = content.indexOf('>', tagStart + 2);
+            const name = end === -1 ? null : content.slice(tagStart + 2, end).trim();
+            if (stack.length === 1 || stack[stack.length - 1].nodeName !== name) fail();
+            stack.pop();
+            position = end + 1;
+        } else {
+            startTagPattern.lastIndex = tagStart;
+            const match = startTagPattern.exec(content);
+            if (!match) fail();
+
+            const attributes = {};
+            let attribute;
+            attributePattern.lastIndex = 0;
+            while ((attribute = attributePattern.exec(match[2])) !== null) {
+                attributes[attribute[1]] = decodeXMLEntities(attribute[2] ?? attribute[3]);
+            }
+
+            const element = new XMLElement(match[1], attributes);
+            if (stack.length === 1 && document.children.length > 0) fail(); // Only one root element
+            stack[stack.length - 1].appendChild(element);
+            if (!match[3]) {
+                stack.push(element);
+            }
+            position = startTagPattern.lastIndex;
+        }
+    }
+
+    if (stack.length > 1 || document.children.length === 0) fail();
+
+    document.documentElement = document.children[0];
+    return document;
+}
+
+// Direct child elements by local name (ignores namespace prefixes)
+function getChildElements(element, localName) {
+    return Array.from(element.children).filter(child => child.localName === localName);
+}
+
+// All descendant elements by local name, in document order
+function getDescendants(element, localName) {
+    return Array.from(element.getElementsByTagNameNS('*', localName));
+}
+
+function getChildText(element, localName) {
+    const child = getChildElements(element, localName)[0];
+    const text = child ? child.textContent.trim() : '';
+    return text || null;
+}
+
+// File name without its extension
+function getBaseName(fileName) {
+    return fileName.replace(/\.[^./\\]+$/, '');
+}
+
+// Per-point arrays collected while parsing a route. All arrays stay index-aligned;
+// `segments` holds the start index of each segment. `sensors` gets one array
+// per SENSOR_CHANNELS entry once a point carries a value for it.
+function createTrackBuffer() {
+    return { coordinates: [], elevations: [], times: [], segments: [], sensors: {} };
+}
+
+// Start a new segment at the next point added to the buffer
+function beginSegment(buffer) {
+    if (buffer.segments[buffer.segments.length - 1] !== buffer.coordinates.length) {
+        buffer.segments.push(buffer.coordinates.length);
+    }
+}
+
+// Add a point to the buffer. Elevation, time and sensor values ({ channel: value })
+// are stored as null when missing.
+function addTrackPoint(buffer, lon, lat, elevation, time, sensors = null) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+        return;
+    }
+
+    if (buffer.segments.length === 0) {
+        beginSegment(buffer);
+    }
+    buffer.coordinates.push([lon, lat]);
+    buffer.elevations.push(Number.isFinite(elevation) ? elevation : null);
+    buffer.times.push(Number.isFinite(time) ? time : null);
+
+    if (sensors) {
+        SENSOR_CHANNELS.forEach(channel => {
+            if (Number.isFinite(sensors[channel]) && !buffer.sensors[channel]) {
+                buffer.sensors[channel] = new Array(buffer.coordinates.length - 1).fill(null);
+            }
+        });
+    }
+    Object.keys(buffer.sensors).forEach(channel => {
+        const value = sensors ? sensors[channel] : null;
+        buffer.sensors[channel].push(Number.isFinite(value) ? value : null);
+    });
+}
+
+// Sensor values of one route point, for copying it into another buffer
+function getPointSensors(route, index) {
+    const sensors = {};
+    Object.keys(route.sensors || {}).forEach(channel => {
+        sensors[channel] = route.sensors[channel][index];
+    });
+    return sensors;
+}
+
+// Name a route that is one of several parts of a file
+function nameRoutePart(fileTitle, partName, index, partCount) {
+    if (partCount === 1) {
+        return partName || fileTitle;
+    }
+    if (partName && partName !== fileTitle) {
+        return `${fileTitle} – ${partName}`;
+    }
+    return `${fileTitle} (${index + 1})`;
+}
+
+// Read a trkpt/rtept into the track buffer
+function readPoint(point, buffer) {
+    addTrackPoint(
+        buffer,
+        parseFloat(point.getAttribute('lon')),
+        parseFloat(point.getAttribute('lat')),
+        parseFloat(getChildText(point, 'ele')),
+        Date.parse(getChildText(point, 'time')),
+        readPointExtensions(point)
+    );
+}
+
+// Sensor values from a point's <extensions>: Garmin's TrackPointExtension
+// (hr, cad, atemp, under any namespace prefix) and the plain <power> element
+// written by Wahoo, Strava and others
+function readPointExtensions(point) {
+    const extensions = getChildElements(point, 'extensions')[0];
+    if (!extensions) {
+        return null;
+    }
+
+    const read = (...names) => {
+        for (const name of names) {
+            const element = getDescendants(extensions, name)[0];
+            if (element) return parseFloat(element.textContent);
+        }
+        return NaN;
+    };
+
+    return {
+        heartRate: read('hr'),
+        cadence: read('cad'),
+        power: read('power', 'PowerInWatts'),
+        temperature: read('atemp', 'wtemp')
+    };
+}
+
+// Distance between two [lon, lat] points using the Haversine formula
+function haversineDistance([lon1, lat1], [lon2, lat2]) {
+    const R = 6371000; // Earth's radius in meters
+
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = 
+        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+    return R * c;
+}
+
+// Cumulative distance in meters from the start to each point.
+// The gap between segments (points listed in segmentStarts) is not counted.
+function calculateCumulativeDistances(coords, segmentStarts = [0]) {
+    const distances = coords.length > 0 ? [0] : [];
+    const gaps = new Set(segmentStarts);
+
+    for (let i = 1; i < coords.length; i++) {
+        const step = gaps.has(i) ? 0 : haversineDistance(coords[i - 1], coords[i]);
+        distances.push(distances[i - 1] + step);
+    }
+
+    return distances;
+}
+
+// Split a route's coordinates into one line per segment. When `indices` is
+// given (e.g. a simplified subset), only those points are used.
+function getSegmentLines(route, indices = null) {
+    const starts = new Set(route.segments && route.segments.length > 0 ? route.segments : [0]);
+    const lines = [];
+    let line = null;
+
+    const addPoint = index => {
+        if (!line || starts.has(index)) {
+            line = [];
+            lines.push(line);
+        }
+        line.push(route.coordinates[index]);
+    };
+
+    if (indices) {
+        indices.forEach(addPoint);
+    } else {
+        route.coordinates.forEach((coord, index) => addPoint(index));
+    }
+
+    return lines.filter(points => points.length > 0);
+}
+
+// GeoJSON geometry for a route - a MultiLineString keeps segment gaps visible
+function getRouteGeometry(route, indices = null) {
+    const lines = getSegmentLines(route, indices);
+    return lines.length === 1
+        ? { type: 'LineString', coordinates: lines[0] }
+        : { type: 'MultiLineString', coordinates: lines };
+}
+
+// Douglas-Peucker simplification of coordinates[start..end]. Returns the indices
+// of the kept points. Distances are measured in meters on a local flat projection.
+function simplifyIndices(coordinates, start, end, tolerance) {
+    if (end - start < 2) {
+        return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+    }
+
+    const latScale = 110540;
+    const lonScale = 111320 * Math.cos(coordinates[start][1] * Math.PI / 180);
+    const keep = new Uint8Array(end - start + 1);
+    keep[0] = 1;
+    keep[end - start] = 1;
+    const stack = [[start, end]];
+
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        const ax = coordinates[first][0] * lonScale;
+        const ay = coordinates[first][1] * latScale;
+        const dx = coordinates[last][0] * lonScale - ax;
+        const dy = coordinates[last][1] * latScale - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        let maxDistance = 0;
+        let maxIndex = -1;
+
+        for (let i = first + 1; i < last; i++) {
+            const px = coordinates[i][0] * lonScale - ax;
+            const py = coordinates[i][1] * latScale - ay;
+            const t = lengthSquared > 0 ? Math.min(Math.max((px * dx + py * dy) / lengthSquared, 0), 1) : 0;
+            const distance = Math.hypot(px - t * dx, py - t * dy);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                maxIndex = i;
+            }
+        }
+
+        if (maxDistance > tolerance) {
+            keep[maxIndex - start] = 1;
+            stack.push([first, maxIndex], [maxIndex, last]);
+        }
+    }
+
+    const indices = [];
+    keep.forEach((kept, offset) => {
+        if (kept) indices.push(start + offset);
+    });
+    return indices;
+}
+
+// Simplified point indices of a whole route, simplifying each segment separately
+function simplifyRoute(route, tolerance) {
+    const starts = route.segments && route.segments.length > 0 ? route.segments : [0];
+    return starts.flatMap((start, index) => {
+        const end = (index + 1 < starts.length ? starts[index + 1] : route.coordinates.length) - 1;
+        return end >= start ? simplifyIndices(route.coordinates, start, end, tolerance) : [];
+    });
+}
+
+// Ascent, descent and gradients from the per-point elevation series.
+// Elevation changes only count once they exceed ELEVATION_THRESHOLD from the
+// last accepted value (hysteresis), so jitter doesn't inflate the totals.
+function calculateElevationStats(elevations, distances) {
+    let ascent = 0;
+    let descent = 0;
+    let minElevation = Infinity;
+    let maxElevation = -Infinity;
+    let reference = null;
+
+    let maxGradient = null;
+    let climbingRise = 0;
+    let climbingDistance = 0;
+    let windowStart = null;
+
+    elevations.forEach((elevation, index) => {
+        if (elevation === null) return;
+
+        minElevation = Math.min(minElevation, elevation);
+        maxElevation = Math.max(maxElevation, elevation);
+
+        if (reference === null) {
+            reference = elevation;
+        } else if (elevation - reference >= ELEVATION_THRESHOLD) {
+            ascent += elevation - reference;
+            reference = elevation;
+        } else if (reference - elevation >= ELEVATION_THRESHOLD) {
+            descent += reference - elevation;
+            reference = elevation;
+        }
+
+        // Gradients over consecutive windows of at least GRADIENT_WINDOW meters
+        if (windowStart === null) {
+            windowStart = index;
+            return;
+        }
+        const run = distances[index] - distances[windowStart];
+        if (run >= GRADIENT_WINDOW) {
+            const rise = elevation - elevations[windowStart];
+            const gradient = rise / run * 100;
+            maxGradient = maxGradient === null ? gradient : Math.max(maxGradient, gradient);
+            if (rise > 0) {
+                climbingRise += rise;
+                climbingDistance += run;
+            }
+            windowStart = index;
+        }
+    });
+
+    if (reference === null) {
+        return null;
+    }
+
+    return {
+        ascent,
+        descent,
+        minElevation,
+        maxElevation,
+        maxGradient,
+        avgGradient: climbingDistance > 0 ? climbingRise / climbingDistance * 100 : null,
+        climbingDistance
+    };
+}
+
+// Elapsed/moving time and speeds from per-point timestamps (ms).
+// Returns null when the route has fewer than two timestamps, e.g. planned routes.
+function calculateTimeStats(times, distances) {
+    const timed = [];
+    times.forEach((time, index) => {
+        if (time !== null) timed.push(index);
+    });
+    if (timed.length < 2) {
+        return null;
+    }
+
+    let movingTime = 0;
+    let movingDistance = 0;
+    let pausedTime = 0;
+    let pauseCount = 0;
+    let currentPause = 0;
+    let maxSpeed = 0;
+    let windowStart = 0;
+
+    for (let i = 1; i < timed.length; i++) {
+        const previous = timed[i - 1];
+        const current = timed[i];
+        const seconds = (times[current] - times[previous]) / 1000;
+        const meters = distances[current] - distances[previous];
+
+        // Ignore timestamp reversals and duplicates
+        if (seconds <= 0) continue;
+
+        if (meters / seconds >= MOVING_SPEED_THRESHOLD) {
+            movingTime += seconds;
+            movingDistance += meters;
+            if (currentPause >= MIN_PAUSE_DURATION) pauseCount++;
+            currentPause = 0;
+        } else {
+            pausedTime += seconds;
+            currentPause += seconds;
+        }
+
+        // Max speed over consecutive windows of at least MAX_SPEED_WINDOW seconds
+        const windowSeconds = (times[current] - times[timed[windowStart]]) / 1000;
+        if (windowSeconds >= MAX_SPEED_WINDOW) {
+            const windowMeters = distances[current] - distances[timed[windowStart]];
+            maxSpeed = Math.max(maxSpeed, windowMeters / windowSeconds);
+            windowStart = i;
+        }
+    }
+    if (currentPause >= MIN_PAUSE_DURATION) pauseCount++;
+
+    const startTime = times[timed[0]];
+    const endTime = times[timed[timed.length - 1]];
+
+    return {
+        startTime,
+        endTime,
+        elapsedTime: (endTime - startTime) / 1000,
+        movingTime,
+        movingDistance,
+        pausedTime,
+        pauseCount,
+        avgSpeed: movingTime > 0 ? movingDistance / movingTime : null,
+        maxSpeed: maxSpeed > 0 ? maxSpeed : null
+    };
+}
+
+// Minimum, maximum and average of each sensor channel. Zero cadence (coasting)
+// is left out of the average, as head units do.
+function calculateSensorStats(sensors) {
+    const stats = {};
+    Object.keys(sensors).forEach(channel => {
+        let min = Infinity;
+        let max = -Infinity;
+        let sum = 0;
+        let count = 0;
+        sensors[channel].forEach(value => {
+            if (value === null) return;
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+            if (channel === 'cadence' && value === 0) return;
+            sum += value;
+            count++;
+        });
+        if (max > -Infinity) {
+            stats[channel] = { min, max, avg: count > 0 ? sum / count : null, count };
+        }
+    });
+    return stats;
+}
+
+// Seconds spent in each zone. `limits` are the ascending lower bounds of zones
+// 2..n; zone 1 is everything below the first limit. Each interval is credited
+// to the zone of the value at its start. Gaps of MIN_PAUSE_DURATION or more
+// are pauses and don't count.
+function calculateZoneTimes(values, times, limits) {
+    const zones = new Array(limits.length + 1).fill(0);
+    if (!values) {
+        return zones;
+    }
+
+    for (let i = 1; i < values.length; i++) {
+        const value = values[i - 1];
+        if (value === null || times[i] === null || times[i - 1] === null) continue;
+        const seconds = (times[i] - times[i - 1]) / 1000;
+        if (seconds <= 0 || seconds >= MIN_PAUSE_DURATION) continue;
+        const zone = limits.filter(limit => value >= limit).length;
+        zones[zone] += seconds;
+    }
+    return zones;
+}
+
+// Build a route object from per-point arrays and compute its statistics.
+// `segments` holds the start index of each track segment within `coordinates`;
+// `sensors` holds optional per-point arrays keyed by SENSOR_CHANNELS entry.
+// `date` (ms) dates routes without timestamps, e.g. from GPX metadata.
+function createRoute({ name, coordinates, elevations, times, segments = [0], sensors = {}, date = NaN, type = 'track', source = '', waypoints = [] }) {
+    segments = segments.filter(start => start < coordinates.length);
+    if (segments[0] !== 0) {
+        segments.unshift(0);
+    }
+    const distances = calculateCumulativeDistances(coordinates, segments);
+    const elevationStats = calculateElevationStats(elevations, distances);
+    const timeStats = calculateTimeStats(times, distances);
+    const simplified = {};
+    SIMPLIFY_TOLERANCES.forEach(tolerance => {
+        simplified[tolerance] = simplifyRoute({ coordinates, segments }, tolerance);
+    });
+
+    return {
+        id: `route-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        coordinates,
+        elevations,
+        distances,
+        times,
+        segments,
+        sensors,
+        sensorStats: calculateSensorStats(sensors),
+        simplified,
+        waypoints,
+        type,
+        source,
+        name,
+        distance: distances[distances.length - 1],
+        date: timeStats ? timeStats.startTime : (Number.isFinite(date) ? date : undefined),
+        elevation: elevationStats ? elevationStats.maxElevation : undefined,
+        minElevation: elevationStats ? elevationStats.minElevation : undefined,
+        ascent: elevationStats ? elevationStats.ascent : undefined,
+        descent: elevationStats ? elevationStats.descent : undefined,
+        avgGradient: elevationStats ? elevationStats.avgGradient : undefined,
+        maxGradient: elevationStats ? elevationStats.maxGradient : undefined,
+        climbingDistance: elevationStats ? elevationStats.climbingDistance : 0,
+        startTime: timeStats ? timeStats.startTime : undefined,
+        endTime: timeStats ? timeStats.endTime : undefined,
+        elapsedTime: timeStats ? timeStats.elapsedTime : undefined,
+        movingTime: timeStats ? timeStats.movingTime : undefined,
+        movingDistance: timeStats ? timeStats.movingDistance : undefined,
+        pauseCount: timeStats ? timeStats.pauseCount : undefined,
+        avgSpeed: timeStats ? timeStats.avgSpeed : undefined,
+        maxSpeed: timeStats ? timeStats.maxSpeed : undefined
+    };
+}
+
+// Read a <wpt> into a waypoint object
+function readWaypoint(point) {
+    const lat = parseFloat(point.getAttribute('lat'));
+    const lon = parseFloat(point.getAttribute('lon'));
+
+    if (isNaN(lat) || isNaN(lon)) {
+        return null;
+    }
+
+    const ele = parseFloat(getChildText(point, 'ele'));
+    const time = Date.parse(getChildText(point, 'time'));
+
+    return {
+        coordinates: [lon, lat],
+        elevation: isNaN(ele) ? null : ele,
+        time: isNaN(time) ? null : time,
+        name: getChildText(point, 'name'),
+        desc: getChildText(point, 'desc'),
+        sym: getChildText(point, 'sym')
+    };
+}
+
+// GPX Parser
+// Every <trk> and <rte> in the file becomes its own route. Track segments are
+// kept as separate parts of the route, and file-level <wpt> waypoints are
+// attached to the first route of the file.
+function parseGPX(gpxContent, fileName) {
+    const xmlDoc = parseXMLDocument(gpxContent);
+    const gpx = xmlDoc.documentElement;
+    const metadata = getChildElements(gpx, 'metadata')[0];
+    const fileTitle = (metadata && getChildText(metadata, 'name')) || getBaseName(fileName);
+    const fileDate = metadata ? Date.parse(getChildText(metadata, 'time')) : NaN;
+    const trackElements = getChildElements(gpx, 'trk');
+    const routeElements = getChildElements(gpx, 'rte');
+    const partCount = trackElements.length + routeElements.length;
+    const parsedRoutes = [];
+
+    // Process tracks
+    trackElements.forEach(track => {
+        const buffer = createTrackBuffer();
+
+        getChildElements(track, 'trkseg').forEach(segment => {
+            beginSegment(buffer);
+            getChildElements(segment, 'trkpt').forEach(point => readPoint(point, buffer));
+        });
+
+        if (buffer.coordinates.length > 0) {
+            parsedRoutes.push(createRoute({
+                ...buffer,
+                name: nameRoutePart(fileTitle, getChildText(track, 'name'), parsedRoutes.length, partCount),
+                date: fileDate,
+                type: 'track',
+                source: fileName
+            }));
+        }
+    });
+
+    // Process planned routes
+    routeElements.forEach(route => {
+        const buffer = createTrackBuffer();
+
+        getChildElements(route, 'rtept').forEach(point => readPoint(point, buffer));
+
+        if (buffer.coordinates.length > 0) {
+            parsedRoutes.push(createRoute({
+                ...buffer,
+                name: nameRoutePart(fileTitle, getChildText(route, 'name'), parsedRoutes.length, partCount),
+                date: fileDate,
+                type: 'route',
+                source: fileName
+            }));
+        }
+    });
+
+    if (parsedRoutes.length > 0) {
+        parsedRoutes[0].waypoints = getChildElements(gpx, 'wpt').map(readWaypoint).filter(Boolean);
+    }
+
+    return parsedRoutes;
+}
+
+// TCX Parser
+// Each <Activity> or <Course> becomes a route; each <Track> inside it a segment.
+// Course points are imported as waypoints.
+function parseTCX(tcxContent, fileName) {
+    const xmlDoc = parseXMLDocument(tcxContent);
+    const fileTitle = getBaseName(fileName);
+    const containers = [...getDescendants(xmlDoc, 'Activity'), ...getDescendants(xmlDoc, 'Course')];
+    const parsedRoutes = [];
+
+    containers.forEach(container => {
+        const buffer = createTrackBuffer();
+
+        getDescendants(container, 'Track').forEach(track => {
+            beginSegment(buffer);
+            getChildElements(track, 'Trackpoint').forEach(trackpoint => {
+                const position = getChildElements(trackpoint, 'Position')[0];
+                if (!position) return;
+
+                const heartRate = getChildElements(trackpoint, 'HeartRateBpm')[0];
+                const watts = getDescendants(trackpoint, 'Watts')[0];
+                addTrackPoint(
+                    buffer,
+                    parseFloat(getChildText(position, 'LongitudeDegrees')),
+                    parseFloat(getChildText(position, 'LatitudeDegrees')),
+                    parseFloat(getChildText(trackpoint, 'AltitudeMeters')),
+                    Date.parse(getChildText(trackpoint, 'Time')),
+                    {
+                        heartRate: heartRate ? parseFloat(getChildText(heartRate, 'Value')) : NaN,
+                        cadence: parseFloat(getChildText(trackpoint, 'Cadence')),
+                        power: watts ? parseFloat(watts.textContent) : NaN
+                    }
+                );
+            });
+        });
+
+        if (buffer.coordinates.length === 0) {
+            return;
+        }
+
+        const isCourse = container.localName === 'Course';
+        const waypoints = getChildElements(container, 'CoursePoint').map(coursePoint => {
+            const position = getChildElements(coursePoint, 'Position')[0];
+            if (!position) return null;
+            const time = Date.parse(getChildText(coursePoint, 'Time'));
+            const elevation = parseFloat(getChildText(coursePoint, 'AltitudeMeters'));
+            return {
+                coordinates: [
+                    parseFloat(getChildText(position, 'LongitudeDegrees')),
+                    parseFloat(getChildText(position, 'LatitudeDegrees'))
+                ],
+                elevation: isNaN(elevation) ? null : elevation,
+                time: isNaN(time) ? null : time,
+                name: getChildText(coursePoint, 'Name'),
+                desc: getChildText(coursePoint, 'Notes'),
+                sym: getChildText(coursePoint, 'PointType')
+            };
+        }).filter(waypoint => waypoint && waypoint.coordinates.every(Number.isFinite));
+
+        parsedRoutes.push(createRoute({
+            ...buffer,
+            name: isCourse ? getChildText(container, 'Name') : null,
+            type: isCourse ? 'route' : 'track',
+            source: fileName,
+            waypoints
+        }));
+    });
+
+    parsedRoutes.forEach((route, index) => {
+        route.name = nameRoutePart(fileTitle, route.name, index, parsedRoutes.length);
+    });
+
+    return parsedRoutes;
+}
+
+// KML Parser
+// Placemarks with a LineString, MultiGeometry or gx:Track become routes (one
+// segment per line/track); Point placemarks become waypoints.
+function parseKML(kmlContent, fileName) {
+    const xmlDoc = parseXMLDocument(kmlContent);
+    const documentElement = getDescendants(xmlDoc, 'Document')[0];
+    const fileTitle = (documentElement && getChildText(documentElement, 'name')) || getBaseName(fileName);
+    const parts = [];
+    const waypoints = [];
+
+    // "lon,lat[,alt]" tuples separated by whitespace
+    function parseCoordinateList(text) {
+        return (text || '').trim().split(/\s+/).filter(Boolean).map(tuple => tuple.split(',').map(parseFloat));
+    }
+
+    getDescendants(xmlDoc, 'Placemark').forEach(placemark => {
+        const buffer = createTrackBuffer();
+
+        getDescendants(placemark, 'Track').forEach(track => {
+            const whens = getChildElements(track, 'when').map(when => Date.parse(when.textContent.trim()));
+            beginSegment(buffer);
+            getChildElements(track, 'coord').forEach((coord, index) => {
+                const [lon, lat, alt] = coord.textContent.trim().split(/\s+/).map(parseFloat);
+                addTrackPoint(buffer, lon, lat, alt, whens[index]);
+            });
+        });
+
+        getDescendants(placemark, 'LineString').forEach(line => {
+            beginSegment(buffer);
+            parseCoordinateList(getChildText(line, 'coordinates')).forEach(([lon, lat, alt]) => {
+                addTrackPoint(buffer, lon, lat, alt, NaN);
+            });
+        });
+
+        if (buffer.coordinates.length > 0) {
+            parts.push({ name: getChildText(placemark, 'name'), buffer });
+            return;
+        }
+
+        getDescendants(placemark, 'Point').forEach(point => {
+            const [lon, lat, alt] = parseCoordinateList(getChildText(point, 'coordinates'))[0] || [];
+            if (!Number.isFinite(lon) || !Number.isFinite(lat)) return;
+            waypoints.push({
+                coordinates: [lon, lat],
+                elevation: Number.isFinite(alt) ? alt : null,
+                time: null,
+                name: getChildText(placemark, 'name'),
+                desc: getChildText(placemark, 'description'),
+                sym: null
+            });
+        });
+    });
+
+    const parsedRoutes = parts.map(({ name, buffer }, index) => createRoute({
+        ...buffer,
+        name: nameRoutePart(fileTitle, name, index, parts.length),
+        type: buffer.times.some(time => time !== null) ? 'track' : 'route',
+        source: fileName
+    }));
+
+    if (parsedRoutes.length > 0) {
+        parsedRoutes[0].waypoints = waypoints;
+    }
+
+    return parsedRoutes;
+}
+
+// GeoJSON Parser
+// LineString/MultiLineString features become routes, Point features waypoints.
+// Per-point times are read from a `coordTimes` (or `times`) property when present.
+function parseGeoJSON(geojsonContent, fileName) {
+    const data = JSON.parse(geojsonContent);
+    const fileTitle = data.name || getBaseName(fileName);
+    const parts = [];
+    const waypoints = [];
+
+    let features = [];
+    if (data.type === 'FeatureCollection') {
+        features = data.features || [];
+    } else if (data.type === 'Feature') {
+        features = [data];
+    } else if (data.type) {
+        features = [{ type: 'Feature', properties: {}, geometry: data }];
+    }
+
+    // Flatten GeometryCollections into their member geometries
+    function flattenGeometry(geometry) {
+        if (!geometry) return [];
+        return geometry.type === 'GeometryCollection'
+            ? geometry.geometries.flatMap(flattenGeometry)
+            : [geometry];
+    }
+
+    features.forEach(feature => {
+        const properties = feature.properties || {};
+        const buffer = createTrackBuffer();
+        const featureTimes = properties.coordTimes || properties.times || [];
+        let lineIndex = 0;
+
+        flattenGeometry(feature.geometry).forEach(geometry => {
+            if (geometry.type === 'Point' || geometry.type === 'MultiPoint') {
+                const points = geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates;
+                points.forEach(([lon, lat, ele]) => {
+                    if (!Number.isFinite(lon) || !Number.isFinite(lat)) return;
+                    waypoints.push({
+                        coordinates: [lon, lat],
+                        elevation: Number.isFinite(ele) ? ele : null,
+                        time: Date.parse(properties.time) || null,
+                        name: properties.name || null,
+                        desc: properties.desc || properties.description || null,
+                        sym: properties.sym || null
+                    });
+                });
+                return;
+            }
+
+            const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+                : geometry.type === 'MultiLineString' ? geometry.coordinates
+                : [];
+
+            lines.forEach(line => {
+                // Times are a flat array for a LineString, one array per line otherwise
+                const lineTimes = Array.isArray(featureTimes[0]) ? featureTimes[lineIndex] || [] : featureTimes;
+                lineIndex++;
+                beginSegment(buffer);
+                line.forEach(([lon, lat, ele], index) => {
+                    addTrackPoint(buffer, lon, lat, ele, Date.parse(lineTimes[index]));
+                });
+            });
+        });
+
+        if (buffer.coordinates.length > 0) {
+            parts.push({ properties, buffer });
+        }
+    });
+
+    const parsedRoutes = parts.map(({ properties, buffer }, index) => createRoute({
+        ...buffer,
+        name: nameRoutePart(fileTitle, properties.name, index, parts.length),
+        type: properties.type === 'route' ? 'route' : 'track',
+        source: fileName
+    }));
+
+    if (parsedRoutes.length > 0) {
+        parsedRoutes[0].waypoints = waypoints;
+    }
+
+    return parsedRoutes;
+}
+
+// FIT Parser
+// Decodes the binary FIT protocol far enough to read `record` messages
+// (position, altitude, timestamp, heart rate, cadence, power, temperature)
+// and the course name. All other messages are skipped using their definitions.
+const FIT_EPOCH_OFFSET = 631065600; // Seconds between the Unix and FIT epochs (1989-12-31)
+const FIT_SEMICIRCLES_TO_DEGREES = 180 / Math.pow(2, 31);
+const FIT_BASE_TYPES = {
+    0x00: { size: 1, read: 'getUint8', invalid: 0xFF },
+    0x01: { size: 1, read: 'getInt8', invalid: 0x7F },
+    0x02: { size: 1, read: 'getUint8', invalid: 0xFF },
+    0x83: { size: 2, read: 'getInt16', invalid: 0x7FFF },
+    0x84: { size: 2, read: 'getUint16', invalid: 0xFFFF },
+    0x85: { size: 4, read: 'getInt32', invalid: 0x7FFFFFFF },
+    0x86: { size: 4, read: 'getUint32', invalid: 0xFFFFFFFF },
+    0x88: { size: 4, read: 'getFloat32', invalid: null },
+    0x89: { size: 8, read: 'getFloat64', invalid: null },
+    0x0A: { size: 1, read: 'getUint8', invalid: 0 },
+    0x8B: { size: 2, read: 'getUint16', invalid: 0 },
+    0x8C: { size: 4, read: 'getUint32', invalid: 0 }
+};
+
+function isFitFile(bytes) {
+    return bytes.length >= 12 &&
+        String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]) === '.FIT';
+}
+
+function parseFIT(arrayBuffer, fileName) {
+    const view = new DataView(arrayBuffer);
+    const bytes = new Uint8Array(arrayBuffer);
+    if (!isFitFile(bytes)) {
+        throw new Error('Invalid FIT file');
+    }
+
+    const headerSize = bytes[0];
+    const dataEnd = Math.min(headerSize + view.getUint32(4, true), bytes.length);
+    const definitions = {};
+    const buffer = createTrackBuffer();
+    let courseName = null;
+    let lastTimestamp = null;
+    let offset = headerSize;
+
+    // Read one field value, or null when it holds the "invalid" marker
+    function readField(position, field, littleEndian) {
+        if (field.baseType === 0x07) {
+            const text = new TextDecoder().decode(bytes.subarray(position, position + field.size));
+            return text.replace(/\0.*$/, '') || null;
+        }
+        const baseType = FIT_BASE_TYPES[field.baseType];
+        if (!baseType || baseType.size !== field.size) {
+            return null;
+        }
+        const value = view[baseType.read](position, littleEndian);
+        return value === baseType.invalid ? null : value;
+    }
+
+    while (offset < dataEnd) {
+        const header = bytes[offset++];
+
+        // Compressed timestamp header: local type in bits 5-6, time offset in bits 0-4
+        const compressed = (header & 0x80) !== 0;
+        const localType = compressed ? (header >> 5) & 0x03 : header & 0x0F;
+
+        if (!compressed && (header & 0x40)) {
+            // Definition message
+            const littleEndian = bytes[offset + 1] === 0;
+            const globalNumber = view.getUint16(offset + 2, littleEndian);
+            const fieldCount = bytes[offset + 4];
+            offset += 5;
+
+            const fields = [];
+            for (let i = 0; i < fieldCount; i++) {
+                fields.push({ number: bytes[offset], size: bytes[offset + 1], baseType: bytes[offset + 2] });
+                offset += 3;
+            }
+
+            // Developer fields are skipped, but their size still counts
+            let developerSize = 0;
+            if (header & 0x20) {
+                const developerCount = bytes[offset++];
+                for (let i = 0; i < developerCount; i++) {
+                    developerSize += bytes[offset + 1];
+                    offset += 3;
+                }
+            }
+
+            definitions[localType] = { globalNumber, littleEndian, fields, developerSize };
+            continue;
+        }
+
+        // Data message
+        const definition = definitions[localType];
+        if (!definition) {
+            throw new Error('Invalid FIT file: data message without definition');
+        }
+
+        const values = {};
+        definition.fields.forEach(field => {
+            values[field.number] = readField(offset, field, definition.littleEndian);
+            offset += field.size;
+        });
+        offset += definition.developerSize;
+
+        if (values[253] !== undefined && values[253] !== null) {
+            lastTimestamp = values[253];
+        } else if (compressed && lastTimestamp !== null) {
+            const timeOffset = header & 0x1F;
+            lastTimestamp = (lastTimestamp & ~0x1F) + timeOffset + (timeOffset < (lastTimestamp & 0x1F) ? 0x20 : 0);
+            values[253] = lastTimestamp;
+        }
+
+        if (definition.globalNumber === 20) {
+            // record: 0 position_lat, 1 position_long, 2 altitude, 3 heart_rate,
+            // 4 cadence, 7 power, 13 temperature, 78 enhanced_altitude
+            const lat = values[0] !== null && values[0] !== undefined ? values[0] * FIT_SEMICIRCLES_TO_DEGREES : NaN;
+            const lon = values[1] !== null && values[1] !== undefined ? values[1] * FIT_SEMICIRCLES_TO_DEGREES : NaN;
+            const rawAltitude = values[78] ?? values[2];
+            const altitude = rawAltitude !== null && rawAltitude !== undefined ? rawAltitude / 5 - 500 : NaN;
+            const time = values[253] !== null && values[253] !== undefined ? (values[253] + FIT_EPOCH_OFFSET) * 1000 : NaN;
+            addTrackPoint(buffer, lon, lat, altitude, time, {
+                heartRate: values[3] ?? NaN,
+                cadence: values[4] ?? NaN,
+                power: values[7] ?? NaN,
+                temperature: values[13] ?? NaN
+            });
+        } else if (definition.globalNumber === 31 && values[5]) {
+            // course: 5 name
+            courseName = values[5];
+        }
+    }
+
+    if (buffer.coordinates.length === 0) {
+        return [];
+    }
+
+    return [createRoute({
+        ...buffer,
+        name: courseName || getBaseName(fileName),
+        type: courseName ? 'route' : 'track',
+        source: fileName
+    })];
+}
+
+// Importers
+// Each importer turns a file into route objects built with createRoute().
+// `detect` sniffs the start of the file; `extensions` is the fallback when
+// the content is not recognized. Binary importers receive an ArrayBuffer,
+// the others the decoded text.
+const importers = [
+    {
+        name: 'FIT',
+        extensions: ['.fit'],
+        binary: true,
+        detect: (bytes) => isFitFile(bytes),
+        parse: parseFIT
+    },
+    {
+        name: 'GPX',
+        extensions: ['.gpx'],
+        detect: (bytes, head) => /<gpx[\s>]/.test(head),
+        parse: parseGPX
+    },
+    {
+        name: 'TCX',
+        extensions: ['.tcx'],
+        detect: (bytes, head) => /<TrainingCenterDatabase[\s>]/.test(head),
+        parse: parseTCX
+    },
+    {
+        name: 'KML',
+        extensions: ['.kml'],
+        detect: (bytes, head) => /<kml[\s>]/.test(head),
+        parse: parseKML
+    },
+    {
+        name: 'GeoJSON',
+        extensions: ['.geojson', '.json'],
+        detect: (bytes, head) => /^\s*\{[\s\S]*"type"\s*:\s*"(FeatureCollection|Feature|LineString|MultiLineString|GeometryCollection)"/.test(head),
+        parse: parseGeoJSON
+    }
+];
+
+// Text encoding of a file: a UTF-16 byte order mark, else the encoding named in
+// the XML declaration (older devices write ISO-8859-1 or Windows-1252 GPX/TCX),
+// else UTF-8. Names TextDecoder doesn't know fall back to UTF-8.
+function detectTextEncoding(bytes) {
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return 'utf-16be';
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return 'utf-16le';
+    }
+    // The declaration is ASCII in every encoding it can name
+    const head = String.fromCharCode(...bytes.subarray(0, 200));
+    const match = head.match(/^(?:\xEF\xBB\xBF)?\s*<\?xml\s[^>]*?\bencoding\s*=\s*["']([A-Za-z0-9._:-]+)["']/);
+    if (match) {
+        try {
+            return new TextDecoder(match[1]).encoding;
+        } catch (error) {
+            // Unknown encoding name
+        }
+    }
+    return 'utf-8';
+}
+
+// Windows-1252 characters at 0x80-0x9F. Node 20 and 22 decode 'windows-1252'
+// as Latin-1, which has control characters there.
+const WINDOWS_1252_HIGH = '\u20ac\x81\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\x8d\u017d\x8f' +
+    '\x90\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\x9d\u017e\u0178';
+
+// Decode a text file in its detected encoding
+function decodeText(bytes) {
+    const encoding = detectTextEncoding(bytes);
+    const text = new TextDecoder(encoding).decode(bytes);
+    return encoding === 'windows-1252'
+        ? text.replace(/[\x80-\x9f]/g, char => WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80])
+        : text;
+}
+
+// Choose an importer by file content first, then by extension
+function findImporter(fileName, bytes) {
+    const head = decodeText(bytes.subarray(0, 2048));
+    const extension = (fileName.match(/\.[^.]+$/) || [''])[0].toLowerCase();
+
+    return importers.find(importer => importer.detect(bytes, head)) ||
+        importers.find(importer => importer.extensions.includes(extension)) ||
+        null;
+}
+
+// Parse a file's contents into routes. Returns null when no importer supports it.
+function importRoutes(arrayBuffer, fileName) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const importer = findImporter(fileName, bytes);
+    if (!importer) {
+        return null;
+    }
+
+    const content = importer.binary ? arrayBuffer : decodeText(bytes);
+    return importer.parse(content, fileName);
+}
+
+// Exporters
+// GPX 1.1 document: tracks as <trk> with one <trkseg> per segment, single-segment
+// planned routes as <rte>. Elevation and time are written at full precision so
+// the file imports back unchanged.
+function routesToGPX(routeList, title) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="PedalPath Visualizer" xmlns="http://www.topografix.com/GPX/1/1" ' +
+            'xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1" ' +
+            'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+            'xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">'
+    ];
+
+    // <ele> and <time> children of a point, omitted when missing
+    function pointChildren(elevation, time) {
+        return (elevation !== null && elevation !== undefined ? `<ele>${elevation}</ele>` : '') +
+            (time !== null && time !== undefined ? `<time>${new Date(time).toISOString()}</time>` : '');
+    }
+
+    // Sensor values as Garmin TrackPointExtension plus a plain <power> element
+    function pointExtensions(route, index) {
+        const sensors = getPointSensors(route, index);
+        const has = channel => sensors[channel] !== null && sensors[channel] !== undefined;
+        const garmin = (has('temperature') ? `<gpxtpx:atemp>${sensors.temperature}</gpxtpx:atemp>` : '') +
+            (has('heartRate') ? `<gpxtpx:hr>${sensors.heartRate}</gpxtpx:hr>` : '') +
+            (has('cadence') ? `<gpxtpx:cad>${sensors.cadence}</gpxtpx:cad>` : '');
+        if (!garmin && !has('power')) {
+            return '';
+        }
+        return '<extensions>' +
+            (has('power') ? `<power>${sensors.power}</power>` : '') +
+            (garmin ? `<gpxtpx:TrackPointExtension>${garmin}</gpxtpx:TrackPointExtension>` : '') +
+            '</extensions>';
+    }
+
+    // Routes without timestamps keep their date in the metadata
+    const dates = routeList.map(getRouteDate).filter(date => date !== undefined);
+    if (title || dates.length > 0) {
+        lines.push('  <metadata>' +
+            (title ? `<name>${escapeHTML(title)}</name>` : '') +
+            (dates.length > 0 ? `<time>${new Date(dates.reduce((min, date) => Math.min(min, date))).toISOString()}</time>` : '') +
+            '</metadata>');
+    }
+
+    routeList.forEach(route => {
+        (route.waypoints || []).forEach(waypoint => {
+            const [lon, lat] = waypoint.coordinates;
+            lines.push(`  <wpt lat="${lat}" lon="${lon}">${pointChildren(waypoint.elevation, waypoint.time)}` +
+                (waypoint.name ? `<name>${escapeHTML(waypoint.name)}</name>` : '') +
+                (waypoint.desc ? `<desc>${escapeHTML(waypoint.desc)}</desc>` : '') +
+                (waypoint.sym ? `<sym>${escapeHTML(waypoint.sym)}</sym>` : '') +
+                '</wpt>');
+        });
+    });
+
+    routeList.forEach(route => {
+        const asRoute = route.type === 'route' && getSegmentLines(route).length === 1;
+        const pointTag = asRoute ? 'rtept' : 'trkpt';
+        const segmentStarts = new Set(route.segments || [0]);
+        const points = route.coordinates.map(([lon, lat], index) => {
+            const indent = asRoute ? '    ' : '      ';
+            const point = `${indent}<${pointTag} lat="${lat}" lon="${lon}">${pointChildren(route.elevations[index], route.times[index])}${pointExtensions(route, index)}</${pointTag}>`;
+            if (asRoute || index === 0 || !segmentStarts.has(index)) {
+                return point;
+            }
+            return `    </trkseg>\n    <trkseg>\n${point}`;
+        });
+
+        if (asRoute) {
+            lines.push('  <rte>', `    <name>${escapeHTML(route.name)}</name>`, ...points, '  </rte>');
+        } else {
+            lines.push('  <trk>', `    <name>${escapeHTML(route.name)}</name>`, '    <trkseg>', ...points, '    </trkseg>', '  </trk>');
+        }
+    });
+
+    lines.push('</gpx>', '');
+    return lines.join('\n');
+}
+
+// GeoJSON FeatureCollection: one line feature per route (with `coordTimes` for
+// timestamps) and one Point feature per waypoint
+function routesToGeoJSON(routeList) {
+    const toISO = time => time !== null && time !== undefined ? new Date(time).toISOString() : null;
+    const features = [];
+
+    routeList.forEach(route => {
+        const position = index => {
+            const [lon, lat] = route.coordinates[index];
+            const elevation = route.elevations[index];
+            return elevation !== null ? [lon, lat, elevation] : [lon, lat];
+        };
+        const starts = route.segments && route.segments.length > 0 ? route.segments : [0];
+        const ranges = starts.map((start, i) => [start, i + 1 < starts.length ? starts[i + 1] : route.coordinates.length]);
+        const lines = ranges.map(([start, end]) => Array.from({ length: end - start }, (_, i) => position(start + i)));
+        const lineTimes = ranges.map(([start, end]) => route.times.slice(start, end).map(toISO));
+        const hasTimes = route.times.some(time => time !== null);
+        const properties = { name: route.name, type: route.type };
+
+        if (hasTimes) {
+            properties.coordTimes = lines.length === 1 ? lineTimes[0] : lineTimes;
+        }
+
+        features.push({
+            type: 'Feature',
+            properties,
+            geometry: lines.length === 1
+                ? { type: 'LineString', coordinates: lines[0] }
+                : { type: 'MultiLineString', coordinates: lines }
+        });
+    });
+
+    routeList.forEach(route => {
+        (route.waypoints || []).forEach(waypoint => {
+            features.push({
+                type: 'Feature',
+                properties: { name: waypoint.name, desc: waypoint.desc, sym: waypoint.sym, time: toISO(waypoint.time) },
+                geometry: {
+                    type: 'Point',
+                    coordinates: waypoint.elevation !== null ? [...waypoint.coordinates, waypoint.elevation] : waypoint.coordinates
+                }
+            });
+        });
+    });
+
+    return { type: 'FeatureCollection', features };
+}
+
+// Combine routes into one track, one segment per original segment. Routes are
+// ordered by start time when all of them have timestamps, otherwise kept in list order.
+function mergeRoutes(routeList, name) {
+    const ordered = routeList.every(route => route.startTime !== undefined)
+        ? [...routeList].sort((a, b) => a.startTime - b.startTime)
+        : routeList;
+    const buffer = createTrackBuffer();
+
+    ordered.forEach(route => {
+        const starts = new Set(route.segments || [0]);
+        route.coordinates.forEach(([lon, lat], index) => {
+            if (starts.has(index)) {
+                beginSegment(buffer);
+            }
+            addTrackPoint(buffer, lon, lat, route.elevations[index], route.times[index], getPointSensors(route, index));
+        });
+    });
+
+    return createRoute({
+        ...buffer,
+        name: name || ordered.map(route => route.name).join(' + '),
+        date: getRouteDate(ordered[0]),
+        type: 'track',
+        source: 'merged',
+        waypoints: ordered.flatMap(route => route.waypoints || [])
+    });
+}
+
+
+// Totals
+// Sums over several routes, as shown for the selection in the app and printed
+// by the CLI. Elevation and time totals only include routes with that data;
+// `elevationRouteCount` and `timedRouteCount` say how many had it. Sensor
+// averages are weighted by the number of readings.
+function calculateTotals(routeList) {
+    const elevationRoutes = routeList.filter(route => route.ascent !== undefined);
+    const timedRoutes = routeList.filter(route => route.elapsedTime !== undefined);
+    const sum = (list, key) => list.reduce((total, route) => total + (route[key] || 0), 0);
+    const climbingDistance = sum(elevationRoutes, 'climbingDistance');
+    const climbingRise = elevationRoutes.reduce((total, route) => total + (route.avgGradient ? route.avgGradient / 100 * route.climbingDistance : 0), 0);
+    const maxGradients = elevationRoutes.map(route => route.maxGradient).filter(gradient => gradient !== null && gradient !== undefined);
+    const movingTime = sum(timedRoutes, 'movingTime');
+    const movingDistance = sum(timedRoutes, 'movingDistance');
+    const maxSpeed = Math.max(0, ...timedRoutes.map(route => route.maxSpeed || 0));
+
+    const sensors = {};
+    SENSOR_CHANNELS.forEach(channel => {
+        const stats = routeList.map(route => (route.sensorStats || {})[channel]).filter(Boolean);
+        if (stats.length === 0) return;
+        const count = stats.reduce((total, stat) => total + (stat.avg !== null ? stat.count : 0), 0);
+        sensors[channel] = {
+            avg: count > 0 ? stats.reduce((total, stat) => total + (stat.avg !== null ? stat.avg * stat.count : 0), 0) / count : null,
+            min: Math.min(...stats.map(stat => stat.min)),
+            max: Math.max(...stats.map(stat => stat.max))
+        };
+    });
+
+    return {
+        routeCount: routeList.length,
+        distance: sum(routeList, 'distance'),
+        elevationRouteCount: elevationRoutes.length,
+        ascent: sum(elevationRoutes, 'ascent'),
+        descent: sum(elevationRoutes, 'descent'),
+        minElevation: elevationRoutes.length > 0 ? Math.min(...elevationRoutes.map(route => route.minElevation)) : null,
+        maxElevation: elevationRoutes.length > 0 ? Math.max(...elevationRoutes.map(route => route.elevation)) : null,
+        avgGradient: climbingDistance > 0 ? climbingRise / climbingDistance * 100 : null,
+        maxGradient: maxGradients.length > 0 ? Math.max(...maxGradients) : null,
+        timedRouteCount: timedRoutes.length,
+        movingTime,
+        elapsedTime: sum(timedRoutes, 'elapsedTime'),
+        movingDistance,
+        pauseCount: sum(timedRoutes, 'pauseCount'),
+        avgSpeed: movingTime > 0 ? movingDistance / movingTime : null,
+        maxSpeed: maxSpeed > 0 ? maxSpeed : null,
+        startTime: timedRoutes.length > 0 ? Math.min(...timedRoutes.map(route => route.startTime)) : null,
+        endTime: timedRoutes.length > 0 ? Math.max(...timedRoutes.map(route => route.endTime)) : null,
+        sensors
+    };
+}
+
+// Activity Log
+// Routes are grouped into calendar periods in local time. Weeks start on Monday.
+
+// Date of a route (ms): its first timestamp, or the file date for routes
+// without timestamps. Undefined when neither is known.
+function getRouteDate(route) {
+    return route.date !== undefined ? route.date : route.startTime;
+}
+
+// Start (ms, local midnight) of the day, week, month or year containing `timestamp`
+function getPeriodStart(timestamp, period) {
+    const date = new Date(timestamp);
+    date.setHours(0, 0, 0, 0);
+    if (period === 'week') {
+        date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    } else if (period === 'month') {
+        date.setDate(1);
+    } else if (period === 'year') {
+        date.setMonth(0, 1);
+    }
+    return date.getTime();
+}
+
+// Dated routes grouped by period with distance, ascent and moving time totals,
+// newest period first
+function summarizeByPeriod(routeList, period) {
+    const groups = new Map();
+
+    routeList.forEach(route => {
+        const date = getRouteDate(route);
+        if (date === undefined) return;
+
+        const start = getPeriodStart(date, period);
+        if (!groups.has(start)) {
+            groups.set(start, { start, routes: [], distance: 0, ascent: 0, movingTime: 0 });
+        }
+        const group = groups.get(start);
+        group.routes.push(route);
+        group.distance += route.distance || 0;
+        group.ascent += route.ascent || 0;
+        group.movingTime += route.movingTime || 0;
+    });
+
+    return [...groups.values()].sort((a, b) => b.start - a.start);
+}
+
+// Climbs
+// A climb runs from a low point to the highest point reached before the road
+// drops by more than CLIMB_MAX_DIP (or 20% of the gain so far). Only climbs
+// that reach a category are reported.
+function findClimbs(route) {
+    const { elevations, distances } = route;
+    const climbs = [];
+    let start = null;
+    let top = null;
+
+    const close = () => {
+        if (start === null || top === start) return;
+        const length = distances[top] - distances[start];
+        const gain = elevations[top] - elevations[start];
+        const avgGradient = length > 0 ? gain / length * 100 : 0;
+        const score = length * avgGradient;
+        const category = CLIMB_CATEGORIES.find(candidate => score >= candidate.minScore);
+        if (!category || avgGradient < CLIMB_MIN_GRADIENT) return;
+
+        climbs.push({
+            startIndex: start,
+            endIndex: top,
+            startDistance: distances[start],
+            endDistance: distances[top],
+            length,
+            gain,
+            avgGradient,
+            maxGradient: Math.max(avgGradient, calculateMaxGradient(elevations, distances, start, top)),
+            score,
+            category: category.name
+        });
+    };
+
+    elevations.forEach((elevation, index) => {
+        if (elevation === null) return;
+
+        if (start === null || elevation < elevations[start]) {
+            close();
+            start = index;
+            top = index;
+        } else if (elevation > elevations[top]) {
+            top = index;
+        } else if (elevations[top] - elevation > Math.max(CLIMB_MAX_DIP, (elevations[top] - elevations[start]) * 0.2)) {
+            close();
+            start = index;
+            top = index;
+        }
+    });
+    close();
+
+    return climbs;
+}
+
+// Steepest gradient (%) between start and end over consecutive GRADIENT_WINDOW
+// windows, or -Infinity when the stretch is shorter than one window
+function calculateMaxGradient(elevations, distances, start, end) {
+    let maxGradient = -Infinity;
+    let windowStart = start;
+
+    for (let index = start + 1; index <= end; index++) {
+        if (elevations[index] === null) continue;
+        const run = distances[index] - distances[windowStart];
+        if (run >= GRADIENT_WINDOW) {
+            maxGradient = Math.max(maxGradient, (elevations[index] - elevations[windowStart]) / run * 100);
+            windowStart = index;
+        }
+    }
+
+    return maxGradient;
+}
+
+// GPS Cleaning
+// Glitches are reported as point indices per kind so the user can review them
+// before cleanRoute applies the fixes:
+// - duplicates: the same position recorded twice within DUPLICATE_TIME_WINDOW
+// - spikes: points reached faster than MAX_PLAUSIBLE_SPEED when the track
+//   returns to plausible positions right after (a real jump, e.g. after a lost
+//   fix, is kept)
+// - elevations: zero dropouts and values far from the local median
+// - timeReversals: timestamps earlier than an already recorded one
+function findGlitches(route) {
+    const { coordinates, elevations, times, distances } = route;
+    const segmentStarts = new Set(route.segments || [0]);
+    const duplicates = [];
+    const spikes = [];
+    const elevationGlitches = [];
+    const timeReversals = [];
+    const dropped = new Set();
+
+    let latestTime = null;
+    coordinates.forEach((coord, index) => {
+        const time = times[index];
+        if (index > 0 && !segmentStarts.has(index)) {
+            const previous = coordinates[index - 1];
+            const previousTime = times[index - 1];
+            if (coord[0] === previous[0] && coord[1] === previous[1] &&
+                (time === null || previousTime === null || Math.abs(time - previousTime) < DUPLICATE_TIME_WINDOW)) {
+                duplicates.push(index);
+                dropped.add(index);
+            }
+        }
+        if (time !== null) {
+            if (latestTime !== null && time < latestTime) {
+                timeReversals.push(index);
+            } else {
+                latestTime = time;
+            }
+        }
+    });
+
+    // Spikes need timestamps; each point is compared with the last good one
+    const reversed = new Set(timeReversals);
+    const isTimed = index => times[index] !== null && !reversed.has(index) && !dropped.has(index);
+    const isPlausible = (from, to) => {
+        const seconds = (times[to] - times[from]) / 1000;
+        return seconds <= 0 || haversineDistance(coordinates[from], coordinates[to]) / seconds <= MAX_PLAUSIBLE_SPEED;
+    };
+    let lastGood = null;
+    coordinates.forEach((coord, index) => {
+        if (!isTimed(index)) return;
+        if (lastGood === null || segmentStarts.has(index) || isPlausible(lastGood, index)) {
+            lastGood = index;
+            return;
+        }
+        let returns = false;
+        for (let next = index + 1; next <= index + SPIKE_LOOKAHEAD && next < coordinates.length && !segmentStarts.has(next); next++) {
+            if (isTimed(next) && isPlausible(lastGood, next)) {
+                returns = true;
+                break;
+            }
+        }
+        if (returns) {
+            spikes.push(index);
+            dropped.add(index);
+        } else {
+            lastGood = index;
+        }
+    });
+
+    // Elevations are compared with the median of the points within
+    // ELEVATION_OUTLIER_WINDOW meters. Zeros never count towards the median,
+    // so dropouts to 0 stand out unless the whole area is at sea level.
+    const valid = [];
+    elevations.forEach((elevation, index) => {
+        if (elevation !== null && !dropped.has(index)) valid.push(index);
+    });
+    const maxScan = 50;
+    valid.forEach((index, position) => {
+        const neighbours = [];
+        const collect = (step) => {
+            for (let p = position + step, scanned = 0; p >= 0 && p < valid.length && scanned < maxScan; p += step, scanned++) {
+                if (Math.abs(distances[valid[p]] - distances[index]) > ELEVATION_OUTLIER_WINDOW) break;
+                if (elevations[valid[p]] !== 0) neighbours.push(elevations[valid[p]]);
+            }
+        };
+        collect(-1);
+        collect(1);
+        if (neighbours.length < 2) return;
+
+        neighbours.sort((a, b) => a - b);
+        const median = neighbours[Math.floor(neighbours.length / 2)];
+        if (Math.abs(elevations[index] - median) > ELEVATION_OUTLIER_THRESHOLD) {
+            elevationGlitches.push(index);
+        }
+    });
+
+    return {
+        duplicates,
+        spikes,
+        elevations: elevationGlitches,
+        timeReversals,
+        total: duplicates.length + spikes.length + elevationGlitches.length + timeReversals.length
+    };
+}
+
+// Copy of a route with the glitches from findGlitches fixed: duplicates and
+// spikes are removed, bad elevations and reversed timestamps become missing values
+function cleanRoute(route, glitches) {
+    const dropped = new Set([...glitches.duplicates, ...glitches.spikes]);
+    const badElevations = new Set(glitches.elevations);
+    const badTimes = new Set(glitches.timeReversals);
+    const segmentStarts = new Set(route.segments || [0]);
+    const buffer = createTrackBuffer();
+
+    route.coordinates.forEach(([lon, lat], index) => {
+        if (segmentStarts.has(index)) {
+            beginSegment(buffer);
+        }
+        if (dropped.has(index)) return;
+        addTrackPoint(buffer, lon, lat,
+            badElevations.has(index) ? null : route.elevations[index],
+            badTimes.has(index) ? null : route.times[index],
+            getPointSensors(route, index));
+    });
+
+    return createRoute({
+        ...buffer,
+        name: route.name,
+        date: getRouteDate(route),
+        type: route.type,
+        source: route.source,
+        waypoints: route.waypoints || []
+    });
+}
+
+// Coverage
+// Heatmaps and explorer squares work on points sampled at a fixed spacing, so
+// a ride counts the same however often the device recorded its position.
+
+// Points every `spacing` meters along a route, interpolated between recorded
+// points. Segment gaps add no distance, so nothing is sampled across them.
+function sampleRoutePoints(route, spacing) {
+    const { coordinates, distances } = route;
+    const samples = coordinates.length > 0 ? [coordinates[0]] : [];
+    let next = spacing;
+
+    for (let i = 1; i < coordinates.length; i++) {
+        const from = distances[i - 1];
+        const to = distances[i];
+        while (next <= to) {
+            const ratio = (next - from) / (to - from);
+            samples.push([
+                coordinates[i - 1][0] + (coordinates[i][0] - coordinates[i - 1][0]) * ratio,
+                coordinates[i - 1][1] + (coordinates[i][1] - coordinates[i - 1][1]) * ratio
+            ]);
+            next += spacing;
+        }
+    }
+
+    return samples;
+}
+
+// Web Mercator position of a [lon, lat] point in tile units; the integer part
+// is the tile, the fraction the position within it
+function getTilePosition([lon, lat], zoom) {
+    const scale = Math.pow(2, zoom);
+    const latRad = lat * Math.PI / 180;
+    return [
+        (lon + 180) / 360 * scale,
+        (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * scale
+    ];
+}
+
+// Web Mercator tile [x, y] containing a [lon, lat] position
+function getTileCoordinates(point, zoom) {
+    return getTilePosition(point, zoom).map(Math.floor);
+}
+
+// [[west, south], [east, north]] of a tile
+function getTileBounds(x, y, zoom) {
+    const scale = Math.pow(2, zoom);
+    const lon = tileX => tileX / scale * 360 - 180;
+    const lat = tileY => Math.atan(Math.sinh(Math.PI * (1 - 2 * tileY / scale))) * 180 / Math.PI;
+    return [[lon(x), lat(y + 1)], [lon(x + 1), lat(y)]];
+}
+
+// Keys ("x/y") of the tiles a list of points passes through
+function getVisitedTiles(points, zoom) {
+    const tiles = new Set();
+    points.forEach(point => tiles.add(getTileCoordinates(point, zoom).join('/')));
+    return tiles;
+}
+
+// Largest group of tiles connected through their edges
+function findLargestCluster(tiles) {
+    const seen = new Set();
+    let largest = new Set();
+
+    tiles.forEach(start => {
+        if (seen.has(start)) return;
+        const cluster = new Set([start]);
+        const queue = [start];
+        seen.add(start);
+
+        while (queue.length > 0) {
+            const [x, y] = queue.pop().split('/').map(Number);
+            [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]].forEach(([nx, ny]) => {
+                const key = `${nx}/${ny}`;
+                if (tiles.has(key) && !seen.has(key)) {
+                    seen.add(key);
+                    cluster.add(key);
+                    queue.push(key);
+                }
+            });
+        }
+
+        if (cluster.size > largest.size) {
+            largest = cluster;
+        }
+    });
+
+    return largest;
+}
+
+// Editing
+// Edits build new route objects with freshly computed statistics; the
+// original is left untouched so the app can keep it for undo.
+
+// Index of the route point closest to a [lon, lat] position
+function findClosestPointIndex(coordinates, [lon, lat]) {
+    const scale = Math.cos(lat * Math.PI / 180);
+    let closestIndex = 0;
+    let closestDistance = Infinity;
+
+    coordinates.forEach(([pointLon, pointLat], index) => {
+        const dx = (pointLon - lon) * scale;
+        const dy = pointLat - lat;
+        const distance = dx * dx + dy * dy;
+        if (distance < closestDistance) {
+            closestDistance = distance;
+            closestIndex = index;
+        }
+    });
+
+    return closestIndex;
+}
+
+// Apply `transform` to each sensor channel array of a route
+function mapSensors(route, transform) {
+    const sensors = {};
+    Object.keys(route.sensors || {}).forEach(channel => {
+        sensors[channel] = transform(route.sensors[channel]);
+    });
+    return sensors;
+}
+
+// Sensor channels of two routes laid end to end. A channel only one of them
+// recorded is padded with missing values for the other.
+function joinSensors(first, second) {
+    const sensors = {};
+    const channels = new Set([...Object.keys(first.sensors || {}), ...Object.keys(second.sensors || {})]);
+    const valuesOf = (route, channel) => (route.sensors || {})[channel] || route.coordinates.map(() => null);
+    channels.forEach(channel => {
+        sensors[channel] = [...valuesOf(first, channel), ...valuesOf(second, channel)];
+    });
+    return sensors;
+}
+
+// Points start..end (inclusive) of a route. Waypoints are kept when they are
+// closest to the kept part of the line.
+function sliceRoute(route, start, end, name = route.name) {
+    const segments = (route.segments || [0])
+        .filter(segmentStart => segmentStart > start && segmentStart <= end)
+        .map(segmentStart => segmentStart - start);
+
+    return createRoute({
+        name,
+        coordinates: route.coordinates.slice(start, end + 1),
+        elevations: route.elevations.slice(start, end + 1),
+        times: route.times.slice(start, end + 1),
+        segments: [0, ...segments],
+        sensors: mapSensors(route, values => values.slice(start, end + 1)),
+        date: getRouteDate(route),
+        type: route.type,
+        source: route.source,
+        waypoints: (route.waypoints || []).filter(waypoint => {
+            const index = findClosestPointIndex(route.coordinates, waypoint.coordinates);
+            return index >= start && index <= end;
+        })
+    });
+}
+
+// The route ridden the other way. Timestamps would run backwards, so they are dropped.
+function reverseRoute(route) {
+    const count = route.coordinates.length;
+    const segmentEnds = (route.segments || [0]).slice(1).map(segmentStart => count - segmentStart);
+
+    return createRoute({
+        name: route.name,
+        coordinates: [...route.coordinates].reverse(),
+        elevations: [...route.elevations].reverse(),
+        times: route.times.map(() => null),
+        segments: [0, ...segmentEnds.reverse()],
+        sensors: mapSensors(route, values => [...values].reverse()),
+        date: getRouteDate(route),
+        type: route.type,
+        source: route.source,
+        waypoints: route.waypoints || []
+    });
+}
+
+// Append `second` to the end of `first`. Unlike mergeRoutes the two lines are
+// connected: the last segment of `first` continues into the first segment of `second`.
+function joinRoutes(first, second) {
+    const offset = first.coordinates.length;
+
+    return createRoute({
+        name: `${first.name} + ${second.name}`,
+        coordinates: [...first.coordinates, ...second.coordinates],
+        elevations: [...first.elevations, ...second.elevations],
+        times: [...first.times, ...second.times],
+        segments: [...(first.segments || [0]), ...(second.segments || [0]).slice(1).map(segmentStart => segmentStart + offset)],
+        sensors: joinSensors(first, second),
+        date: getRouteDate(first),
+        type: first.type,
+        source: first.source,
+        waypoints: [...(first.waypoints || []), ...(second.waypoints || [])]
+    });
+}
+
+// Library
+// Searching, filtering and sorting the route library. Tags are free-text
+// labels kept on the route as `tags`.
+
+// Comma-separated tag input as a list of trimmed tags, without
+// case-insensitive duplicates
+function parseTags(text) {
+    const tags = [];
+    text.split(',').map(tag => tag.trim()).filter(Boolean).forEach(tag => {
+        if (!tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+            tags.push(tag);
+        }
+    });
+    return tags;
+}
+
+// Every tag in use with its route count, sorted by name
+function collectTags(routeList) {
+    const counts = new Map();
+    routeList.forEach(route => {
+        (route.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return Array.from(counts, ([tag, count]) => ({ tag, count })).sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+// Whether the line from `from` to `to` ([lon, lat]) touches the rectangle: their
+// boxes overlap and the rectangle's corners are not all on one side of the line
+function isSegmentInBounds([x1, y1], [x2, y2], [[west, south], [east, north]]) {
+    if (Math.max(x1, x2) < west || Math.min(x1, x2) > east || Math.max(y1, y2) < south || Math.min(y1, y2) > north) {
+        return false;
+    }
+    const sides = [[west, south], [east, south], [east, north], [west, north]]
+        .map(([x, y]) => Math.sign((x2 - x1) * (y - y1) - (y2 - y1) * (x - x1)));
+    return !sides.every(side => side > 0) && !sides.every(side => side < 0);
+}
+
+// Whether the route crosses [[west, south], [east, north]], including long
+// straight lines (e.g. planned legs) passing through with both ends outside.
+// The gaps between segments are not part of the route.
+function isRouteInBounds(route, bounds) {
+    const [[west, south], [east, north]] = bounds;
+    const { coordinates } = route;
+    if (coordinates.length === 0) {
+        return false;
+    }
+
+    // Routes whose bounding box misses the rectangle are rejected first
+    let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+    coordinates.forEach(([lon, lat]) => {
+        minLon = Math.min(minLon, lon);
+        maxLon = Math.max(maxLon, lon);
+        minLat = Math.min(minLat, lat);
+        maxLat = Math.max(maxLat, lat);
+    });
+    if (maxLon < west || minLon > east || maxLat < south || minLat > north) {
+        return false;
+    }
+
+    const segmentStarts = new Set(route.segments || [0]);
+    return coordinates.some((point, index) => {
+        if (index === 0 || segmentStarts.has(index)) {
+            return isSegmentInBounds(point, point, bounds);
+        }
+        return isSegmentInBounds(coordinates[index - 1], point, bounds);
+    });
+}
+
+// Routes matching a filter. Every field is optional: `query` (part of the name
+// or a tag), `tag`, `minDistance`/`maxDistance` (m), `from`/`to` (ms, `to`
+// exclusive; undated routes never match a date range) and `bounds` (see
+// isRouteInBounds).
+function filterRoutes(routeList, filter) {
+    const query = (filter.query || '').trim().toLowerCase();
+    const isSet = value => value !== null && value !== undefined;
+
+    return routeList.filter(route => {
+        const tags = route.tags || [];
+        if (query && !route.name.toLowerCase().includes(query) && !tags.some(tag => tag.toLowerCase().includes(query))) {
+            return false;
+        }
+        if (filter.tag && !tags.includes(filter.tag)) {
+            return false;
+        }
+        if ((isSet(filter.minDistance) && !(route.distance >= filter.minDistance)) ||
+            (isSet(filter.maxDistance) && !(route.distance <= filter.maxDistance))) {
+            return false;
+        }
+        if (isSet(filter.from) || isSet(filter.to)) {
+            const date = getRouteDate(route);
+            if (date === undefined || (isSet(filter.from) && date < filter.from) || (isSet(filter.to) && date >= filter.to)) {
+                return false;
+            }
+        }
+        return !filter.bounds || isRouteInBounds(route, filter.bounds);
+    });
+}
+
+const ROUTE_SORT_VALUES = {
+    order: route => route.order,
+    name: route => route.name,
+    date: getRouteDate,
+    distance: route => route.distance,
+    ascent: route => route.ascent
+};
+
+// Sorted copy of the routes. `sort` is '<key>-asc' or '<key>-desc' with a key
+// of ROUTE_SORT_VALUES; routes without a value (e.g. no date) always go last.
+function sortRoutes(routeList, sort) {
+    const [key, direction] = sort.split('-');
+    const value = ROUTE_SORT_VALUES[key];
+    if (!value) {
+        return [...routeList];
+    }
+
+    const sign = direction === 'desc' ? -1 : 1;
+    const isMissing = value => value === null || value === undefined || Number.isNaN(value);
+    return [...routeList].sort((a, b) => {
+        const valueA = value(a);
+        const valueB = value(b);
+        if (isMissing(valueA) || isMissing(valueB)) {
+            return isMissing(valueA) - isMissing(valueB);
+        }
+        const order = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+        return order * sign;
+    });
+}
+
+// Segments
+// A segment is a stretch of a route, stored with its own coordinates so it
+// outlives edits to that route. An effort is a pass of any route from the
+// segment start to its end that goes through the segment's checkpoints in
+// order, so rides in the opposite direction don't match.
+function createSegment(route, startIndex, endIndex, name) {
+    return {
+        id: `segment-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        name,
+        coordinates: route.coordinates.slice(startIndex, endIndex + 1),
+        distance: route.distances[endIndex] - route.distances[startIndex]
+    };
+}
+
+// Meters from `point` to the line a–b, on a local flat projection around `point`
+function distanceToLine(point, a, b) {
+    const metersPerDegree = 111320;
+    const scale = Math.cos(point[1] * Math.PI / 180);
+    const ax = (a[0] - point[0]) * scale * metersPerDegree;
+    const ay = (a[1] - point[1]) * metersPerDegree;
+    const dx = (b[0] - a[0]) * scale * metersPerDegree;
+    const dy = (b[1] - a[1]) * metersPerDegree;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.min(Math.max(-(ax * dx + ay * dy) / lengthSquared, 0), 1) : 0;
+    return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+// Every pass of `route` over `segment`, with elapsed time and average speed
+// when the route has timestamps
+function findSegmentEfforts(route, segment) {
+    const { coordinates, distances, times } = route;
+    const segmentStart = segment.coordinates[0];
+    const segmentEnd = segment.coordinates[segment.coordinates.length - 1];
+    const checkpoints = sampleRoutePoints({
+        coordinates: segment.coordinates,
+        distances: calculateCumulativeDistances(segment.coordinates)
+    }, SEGMENT_CHECKPOINT_SPACING);
+
+    // Closest point of the next run of points near `target`, and the index after that run
+    const findNear = (target, from, limit) => {
+        let best = null;
+        for (let i = from; i < limit; i++) {
+            const distance = haversineDistance(coordinates[i], target);
+            if (distance <= SEGMENT_MATCH_DISTANCE) {
+                if (!best || distance < best.distance) best = { index: i, distance };
+            } else if (best) {
+                return { index: best.index, next: i };
+            }
+        }
+        return best && { index: best.index, next: limit };
+    };
+
+    // Index of the line on which the last checkpoint is passed, walking them in
+    // order from `startIndex`, or -1 when one is missed before `limit`
+    const passCheckpoints = (startIndex, limit) => {
+        let i = startIndex;
+        const passed = checkpoints.every(point => {
+            while (i < limit - 1 && distanceToLine(point, coordinates[i], coordinates[i + 1]) > SEGMENT_MATCH_DISTANCE) i++;
+            return i < limit - 1;
+        });
+        return passed ? i : -1;
+    };
+
+    const efforts = [];
+    let from = 0;
+    while (from < coordinates.length) {
+        const start = findNear(segmentStart, from, coordinates.length);
+        if (!start) break;
+
+        // Detours up to half the segment length still count
+        let limit = start.index + 1;
+        const maxDistance = distances[start.index] + segment.distance * 1.5 + SEGMENT_MATCH_DISTANCE;
+        while (limit < coordinates.length && distances[limit] <= maxDistance) limit++;
+
+        // The end is only looked for once the checkpoints are passed, so a loop
+        // segment, which ends where it starts, doesn't end right at its start
+        const passed = passCheckpoints(start.index, limit);
+        const end = passed >= 0 && findNear(segmentEnd, Math.max(passed, start.index + 1), limit);
+        if (!end) {
+            from = start.next;
+            continue;
+        }
+
+        const startTime = times[start.index];
+        const endTime = times[end.index];
+        const elapsedTime = startTime !== null && endTime !== null && endTime > startTime ? (endTime - startTime) / 1000 : null;
+        const distance = distances[end.index] - distances[start.index];
+        efforts.push({
+            startIndex: start.index,
+            endIndex: end.index,
+            distance,
+            elapsedTime,
+            avgSpeed: elapsedTime ? distance / elapsedTime : null,
+            date: startTime !== null ? startTime : getRouteDate(route)
+        });
+        // A lap of a loop segment can start where the previous one ended
+        from = end.index;
+    }
+
+    return efforts;
+}
+
+// Whether two routes are the same recording or plan imported twice: same
+// start and end, nearly the same distance, and start times within
+// DUPLICATE_START_WINDOW (or no timestamps in either)
+function isDuplicateRoute(a, b) {
+    const last = route => route.coordinates[route.coordinates.length - 1];
+
+    if (Math.abs(a.distance - b.distance) > Math.max(a.distance, b.distance) * DUPLICATE_DISTANCE_TOLERANCE ||
+        haversineDistance(a.coordinates[0], b.coordinates[0]) > SEGMENT_MATCH_DISTANCE ||
+        haversineDistance(last(a), last(b)) > SEGMENT_MATCH_DISTANCE) {
+        return false;
+    }
+    if (a.startTime !== undefined && b.startTime !== undefined) {
+        return Math.abs(a.startTime - b.startTime) <= DUPLICATE_START_WINDOW;
+    }
+    return a.startTime === undefined && b.startTime === undefined;
+}
+
+// Route Planning
+// A planned route is drawn as legs between the clicked points. A leg is a
+// straight line, or the geometry a routing service returned for it.
+
+// Elevation (m) of a DEM tile pixel in the 'terrarium' or 'mapbox' (Terrain-RGB)
+// encoding, the two raster-dem encodings MapLibre reads
+function decodeDEMElevation([red, green, blue], encoding) {
+    if (encoding === 'mapbox') {
+        return -10000 + (red * 65536 + green * 256 + blue) * 0.1;
+    }
+    return red * 256 + green + blue / 256 - 32768;
+}
+
+// Fill a routing endpoint template: {from} and {to} become "lon,lat"
+function buildRoutingURL(template, from, to) {
+    const format = ([lon, lat]) => `${lon.toFixed(6)},${lat.toFixed(6)}`;
+    return template.replace(/\{from\}/g, format(from)).replace(/\{to\}/g, format(to));
+}
+
+// Leg geometry from a routing response: GeoJSON (a FeatureCollection, Feature
+// or LineString, as BRouter returns it) or OSRM's routes[0].geometry when
+// requested with geometries=geojson. Returns null when there is no line.
+function readRoutingResponse(data) {
+    let geometry = data;
+    if (geometry && Array.isArray(geometry.routes)) {
+        geometry = geometry.routes[0] && geometry.routes[0].geometry;
+    }
+    if (geometry && geometry.type === 'FeatureCollection') {
+        geometry = geometry.features[0];
+    }
+    if (geometry && geometry.type === 'Feature') {
+        geometry = geometry.geometry;
+    }
+    if (!geometry || geometry.type !== 'LineString' || geometry.coordinates.length < 2) {
+        return null;
+    }
+
+    return {
+        coordinates: geometry.coordinates.map(([lon, lat]) => [lon, lat]),
+        elevations: geometry.coordinates.map(position => Number.isFinite(position[2]) ? position[2] : null)
+    };
+}
+
+// One line through all legs; consecutive legs share their joining point
+function joinLegs(legs) {
+    const coordinates = [];
+    const elevations = [];
+    legs.forEach((leg, index) => {
+        const start = index === 0 ? 0 : 1;
+        coordinates.push(...leg.coordinates.slice(start));
+        elevations.push(...leg.elevations.slice(start));
+    });
+    return { coordinates, elevations };
+}
+
+// Library route of type 'route' (exported as <rte> by default) from planned legs
+function createPlannedRoute(name, legs) {
+    const { coordinates, elevations } = joinLegs(legs);
+    return createRoute({
+        name,
+        coordinates,
+        elevations,
+        times: coordinates.map(() => null),
+        type: 'route',
+        source: 'Route planner'
+    });
+}
+
+// Encoded polylines (Google's polyline algorithm): every column of `rows` is
+// scaled by `factor`, delta-encoded and written as 5-bit chunks of printable ASCII.
+function encodePolyline(rows, factor = 1e5) {
+    const previous = [];
+    let output = '';
+
+    rows.forEach(row => {
+        row.forEach((value, column) => {
+            const scaled = Math.round(value * factor);
+            const delta = scaled - (previous[column] || 0);
+            previous[column] = scaled;
+
+            let chunks = delta < 0 ? ~(delta << 1) : delta << 1;
+            while (chunks >= 0x20) {
+                output += String.fromCharCode((0x20 | (chunks & 0x1f)) + 63);
+                chunks >>>= 5;
+            }
+            output += String.fromCharCode(chunks + 63);
+        });
+    });
+
+    return output;
+}
+
+function decodePolyline(text, dimensions = 2, factor = 1e5) {
+    const current = new Array(dimensions).fill(0);
+    const rows = [];
+    let index = 0;
+
+    while (index < text.length) {
+        const row = [];
+        for (let column = 0; column < dimensions; column++) {
+            let result = 0;
+            let shift = 0;
+            let chunk;
+            do {
+                chunk = text.charCodeAt(index++) - 63;
+                if (!(chunk >= 0 && chunk < 64)) {
+                    throw new Error('Invalid encoded polyline');
+                }
+                result |= (chunk & 0x1f) << shift;
+                shift += 5;
+            } while (chunk >= 0x20);
+            current[column] += result & 1 ? ~(result >>> 1) : result >>> 1;
+            row.push(current[column] / factor);
+        }
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+// Compact text form of a route for share links:
+// "<lat/lon polyline>,<elevation polyline>,<segment starts>,<name>".
+// Routes with more than `maxPoints` points are simplified to the finest
+// SIMPLIFY_TOLERANCES level first; null if they are still too large.
+function encodeRouteLink(route, maxPoints) {
+    let indices = route.coordinates.map((coord, index) => index);
+    if (indices.length > maxPoints) {
+        indices = simplifyRoute(route, SIMPLIFY_TOLERANCES[SIMPLIFY_TOLERANCES.length - 1]);
+    }
+    if (indices.length > maxPoints || indices.length < 2) {
+        return null;
+    }
+
+    const segmentStarts = new Set(route.segments || [0]);
+    const coordinates = encodePolyline(indices.map(index => [route.coordinates[index][1], route.coordinates[index][0]]));
+    // Elevations are whole meters and only kept when every point has one
+    const elevations = indices.every(index => route.elevations[index] !== null)
+        ? encodePolyline(indices.map(index => [route.elevations[index]]), 1)
+        : '';
+    const segments = indices
+        .map((index, position) => position > 0 && segmentStarts.has(index) ? position : null)
+        .filter(position => position !== null)
+        .join('.');
+
+    return [coordinates, elevations, segments, route.name].join(',');
+}
+
+function decodeRouteLink(text) {
+    const parts = text.split(',');
+    if (parts.length < 4) {
+        throw new Error('Invalid route link');
+    }
+
+    const coordinates = decodePolyline(parts[0]).map(([lat, lon]) => [lon, lat]);
+    const elevations = parts[1]
+        ? decodePolyline(parts[1], 1, 1).map(([elevation]) => elevation)
+        : coordinates.map(() => null);
+    if (coordinates.length < 2 || elevations.length !== coordinates.length) {
+        throw new Error('Invalid route link');
+    }
+
+    return createRoute({
+        name: parts.slice(3).join(',') || 'Shared route',
+        coordinates,
+        elevations,
+        times: coordinates.map(() => null),
+        segments: [0, ...parts[2].split('.').filter(Boolean).map(Number)],
+        source: 'link'
+    });
+}
+
+// Node (the CLI and scripts); the page and the worker use the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SENSOR_CHANNELS,
+        CLIMB_CATEGORIES,
+        // Import
+        importRoutes,
+        findImporter,
+        detectTextEncoding,
+        parseGPX,
+        parseTCX,
+        parseKML,
+        parseGeoJSON,
+        parseFIT,
+        // Building routes
+        createTrackBuffer,
+        beginSegment,
+        addTrackPoint,
+        createRoute,
+        // Statistics
+        haversineDistance,
+        calculateCumulativeDistances,
+        calculateElevationStats,
+        calculateTimeStats,
+        calculateSensorStats,
+        calculateZoneTimes,
+        calculateTotals,
+        simplifyRoute,
+        // Export
+        routesToGPX,
+        routesToGeoJSON,
+        mergeRoutes,
+        // Analysis
+        getRouteDate,
+        getPeriodStart,
+        summarizeByPeriod,
+        parseTags,
+        collectTags,
+        isRouteInBounds,
+        filterRoutes,
+        sortRoutes,
+        findClimbs,
+        findGlitches,
+        cleanRoute,
+        createSegment,
+        findSegmentEfforts,
+        isDuplicateRoute,
+        sampleRoutePoints,
+        getTilePosition,
+        getTileCoordinates,
+        getTileBounds,
+        getVisitedTiles,
+        findLargestCluster,
+        // Editing
+        findClosestPointIndex,
+        sliceRoute,
+        reverseRoute,
+        joinRoutes,
+        // Route planning
+        decodeDEMElevation,
+        buildRoutingURL,
+        readRoutingResponse,
+        joinLegs,
+        createPlannedRoute,
+        // Links
+        encodePolyline,
+        decodePolyline,
+        encodeRouteLink,
+        decodeRouteLink
+    };
+}
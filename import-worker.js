@@ -0,0 +1,23 @@
+// Import Worker
+// Parses route files off the main thread with the shared core. Receives
+// { files: [{ name, buffer }] } and posts one 'file' message per file (in
+// order, so the page can report progress) followed by 'done'. Each parsed
+// route comes with the GPS glitches found in it.
+importScripts('core.js');
+
+self.onmessage = (event) => {
+    const { files } = event.data;
+
+    files.forEach((file, index) => {
+        const message = { type: 'file', index, total: files.length, fileName: file.name, routes: null, error: null };
+        try {
+            message.routes = importRoutes(file.buffer, file.name);
+            message.glitches = message.routes ? message.routes.map(findGlitches) : null;
+        } catch (error) {
+            message.error = error.message;
+        }
+        self.postMessage(message);
+    });
+
+    self.postMessage({ type: 'done' });
+};
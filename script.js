@@ -1,182 +1,620 @@
 // App State
 let routes = [];
 let map = null;
-let addedRouteIds = []; // Track IDs of routes added to the map for cleanup
+let renderedRoutes = new Map(); // Route ID -> { route, tolerance, colorKey } of sources on the map
 let selectedRoutes = new Set(); // Track which routes are selected
 let isLoadingDefaultRoute = false; // Flag to track default route loading
-const routeColors = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6'];
+let profileRouteId = null; // Route shown in the elevation profile
+let profileChannel = 'elevation'; // Series drawn in the profile: elevation or a sensor channel
+let profileChart = null; // Scales of the rendered profile, used for hover lookups
+let profileMarker = null; // Map marker synced with the profile cursor
+let waypointMarkers = []; // Waypoint markers of the selected routes
+// Route palette, distinguishable with color vision deficiencies (Okabe-Ito
+// plus Paul Tol's muted scheme). Colors are assigned once at import and stored.
+const routeColors = [
+    '#0072b2', '#e69f00', '#009e73', '#cc79a7', '#56b4e9', '#d55e00',
+    '#332288', '#882255', '#117733', '#44aa99', '#999933', '#000000'
+];
+const DEFAULT_LINE_WIDTH = 4;
+const LINE_DASHES = { solid: null, dashed: [2, 1.5], dotted: [0, 2] }; // Dash patterns in line widths
+let styledRouteId = null; // Route shown in the line style panel
+let hoveredRouteId = null; // Route line highlighted under the cursor
+let routeHoverPopup = null; // Popup with the name and stats of the hovered route
+const DB_NAME = 'pedalpath';
+const DB_VERSION = 1;
+let dbPromise = null; // Lazily opened IndexedDB connection
+let renamingRouteId = null; // Route whose name is being edited in the route list
+let colorMode = 'solid'; // How route lines are colored: solid, elevation, gradient, speed or a sensor channel
+let mapMode = 'lines'; // How routes are drawn: lines, heatmap or squares (explorer squares)
+let coverageAllRoutes = false; // Heatmap and squares include every route instead of the selection
+const coverageCache = new WeakMap(); // Per-route sampled points and visited tiles for the coverage modes
+const climbCache = new WeakMap(); // Detected climbs per route, computed on demand
+let highlightedClimb = null; // { routeId, index } of the climb highlighted on the map
+let segments = []; // User-defined segments, compared across all loaded routes
+let segmentPicker = null; // { routeId, startIndex, marker } while a new segment is picked on the map
+const segmentEffortCache = new WeakMap(); // Route -> Map of segment ID -> efforts
+let highlightedEffort = null; // { segmentId, routeId, index } of the segment effort highlighted on the map
+const pointValueCache = new WeakMap(); // Per-point gradient/speed arrays, computed on demand
+const replayTrackCache = new WeakMap(); // Timestamped point indices per route, computed on demand
+let replay = null; // Ride replay state while the replay panel is open
+let importWorker = null; // Worker parsing imported files; false when workers are unavailable
+let importQueue = Promise.resolve(); // Serializes import batches sent to the worker
+const COLOR_BINS = 24; // Value steps per scale; neighbouring points in the same step share a line feature
+let urlStateReady = false; // The URL hash is only rewritten once the initial view has been restored from it
+let urlStateTimer = null; // Debounces hash updates while the map moves
+const MAX_LINK_POINTS = 400; // Largest route (after simplification) embedded in a share link
+const MAX_URL_ROUTES = 50; // Larger selections are left out of the live URL (the stored selection restores them)
+let routeEditor = null; // Route edit mode state while the edit panel is open
+let undoStack = []; // Applied edits as { before, after } route lists
+let redoStack = []; // Undone edits, cleared by the next edit
+let pendingCleanups = []; // Imported routes with GPS glitches, waiting for the user to apply or skip the fixes
+let importReport = []; // Per-file results of the last import batch
+const SENSOR_LABELS = {
+    heartRate: { name: 'Heart Rate', unit: 'bpm' },
+    cadence: { name: 'Cadence', unit: 'rpm' },
+    power: { name: 'Power', unit: 'W' },
+    temperature: { name: 'Temperature', unit: '°C' }
+};
+const DEFAULT_ZONE_LIMITS = {
+    heartRate: [114, 133, 152, 171], // 60/70/80/90% of a 190 bpm max heart rate
+    power: [138, 188, 225, 263, 300, 375] // Coggan zones for a 250 W FTP
+};
+let zoneLimits = { ...DEFAULT_ZONE_LIMITS }; // Lower bounds of zones 2..n per channel, editable in the zones card
+const zoneTimeCache = new WeakMap(); // Route -> Map of channel and limits -> seconds per zone
+let calendarYear = null; // Year shown in the activity calendar; null follows the latest activity
+let activityPeriod = 'week'; // Grouping of the training summary: week, month or year
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const BUILTIN_BASEMAPS = [
+    {
+        id: 'osm',
+        name: 'OpenStreetMap',
+        type: 'raster',
+        tiles: ['https://tile.openstreetmap.org/{z}/{x}/{y}.png'],
+        maxzoom: 19,
+        attribution: OSM_ATTRIBUTION
+    },
+    {
+        id: 'opentopomap',
+        name: 'OpenTopoMap',
+        type: 'raster',
+        tiles: ['a', 'b', 'c'].map(server => `https://${server}.tile.opentopomap.org/{z}/{x}/{y}.png`),
+        maxzoom: 17,
+        attribution: `${OSM_ATTRIBUTION}, SRTM | Style: &copy; <a href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)`
+    }
+];
+const DEFAULT_TERRAIN = {
+    hillshade: false,
+    terrain: false,
+    url: 'https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png', // Mapzen/Tilezen terrain tiles
+    encoding: 'terrarium',
+    maxzoom: 15,
+    exaggeration: 1.5
+};
+const SQL_JS_URL = 'https://unpkg.com/sql.js@1.8.0/dist/'; // Loaded on the first MBTiles file
+let basemapId = 'osm'; // Basemap drawn under the routes: a built-in, custom or archive ID
+let customBasemaps = []; // User-configured tile URLs
+let archiveBasemaps = []; // MBTiles/PMTiles files opened this session (files can't be reopened after a reload)
+const mbtilesDatabases = new Map(); // MBTiles file name -> sql.js database served by the mbtiles:// protocol
+let pmtilesProtocol = null; // pmtiles:// protocol handler, null when the PMTiles library failed to load
+let sqlJsPromise = null; // Lazily loaded sql.js module
+let terrainSettings = { ...DEFAULT_TERRAIN }; // Hillshade and 3D terrain toggles and their DEM tiles
+const PLAN_ELEVATION_SPACING = 50; // Meters between elevation samples on straight planned legs
+const PLAN_MAX_ELEVATION_SAMPLES = 200; // Per leg, so dragging long legs stays smooth
+const PLAN_DEM_ZOOM = 12; // DEM tile zoom read for planned elevations (about 20 m per pixel in the Alps)
+const PLAN_DEM_CACHE_SIZE = 64; // DEM tiles kept decoded for planning
+const demTileCache = new Map(); // DEM tile URL -> promise of its ImageData, or null when it failed
+const DEFAULT_ROUTING_URL = 'http://localhost:17777/brouter?lonlats={from}|{to}&profile=trekking&alternativeidx=0&format=geojson';
+let routingSettings = { enabled: false, url: DEFAULT_ROUTING_URL }; // Optional routing endpoint the planner snaps legs with
+let routePlanner = null; // Route planner state while the plan panel is open
+let libraryFilter = { query: '', tag: '', minDistance: null, maxDistance: null, from: null, to: null, inView: false }; // Route selector filters (m, ms)
+let librarySort = 'order-asc'; // Route selector order, see sortRoutes
+let taggingRouteId = null; // Route whose tags are being edited in the route list
 
 // Initialize Map with Maplibre GL JS
 function initMap() {
+    // Tile archives opened from disk (and remote PMTiles) are read through custom protocols
+    maplibregl.addProtocol('mbtiles', loadMBTilesTile);
+    if (window.pmtiles) {
+        pmtilesProtocol = new pmtiles.Protocol();
+        maplibregl.addProtocol('pmtiles', pmtilesProtocol.tile);
+    }
+
+    const basemap = BUILTIN_BASEMAPS[0];
     map = new maplibregl.Map({
         container: 'map',
         style: {
             version: 8,
             sources: {
-                'osm-tiles': {
-                    type: 'raster',
-                    tiles: ['https://tile.openstreetmap.org/{z}/{x}/{y}.png'],
-                    tileSize: 256,
-                    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
-                }
+                basemap: getBasemapSource(basemap)
             },
-            layers: [
-                {
-                    id: 'osm-tiles-layer',
-                    type: 'raster',
-                    source: 'osm-tiles',
-                    minzoom: 0,
-                    maxzoom: 19
-                }
-            ]
+            layers: getBasemapLayers(basemap)
         },
         center: [9.670303613479033, 46.377728392437405], // [lng, lat] - Center of the route area
         zoom: 10, // Zoom level for the route area
         antialias: true // Smooth rendering
     });
 
+    // Open linked views at their camera right away instead of jumping after load
+    const { camera } = readURLState();
+    if (camera) {
+        map.jumpTo(camera);
+    }
+
     // Add navigation controls
     map.addControl(new maplibregl.NavigationControl(), 'top-right');
 
-    // Wait for map to load AND style to load before loading default GPX
+    // Keep the camera in the URL hash
+    map.on('moveend', scheduleURLUpdate);
+
+    // The route selector can be limited to the routes in view
+    map.on('moveend', () => {
+        if (libraryFilter.inView) {
+            renderRouteSelector();
+        }
+    });
+
+    // Sync the elevation profile with the route under the cursor
+    map.on('mousemove', handleProfileMapHover);
+
+    // Highlight the route line under the cursor and show its stats
+    map.on('mousemove', handleRouteHover);
+    map.on('mouseout', clearRouteHover);
+
+    // Split the edited route where it is clicked
+    map.on('click', handleEditMapClick);
+    map.on('click', handleSegmentMapClick);
+    map.on('click', handlePlanMapClick);
+
+    // Swap in the simplified geometry that matches the new zoom level
+    map.on('zoomend', () => {
+        const tolerance = getSimplifyTolerance(map.getZoom());
+        const outdated = Array.from(renderedRoutes.values()).some(rendered => rendered.tolerance !== tolerance);
+        if (outdated) {
+            syncRouteLayers();
+        }
+    });
+
+    // Wait for map to load AND style to load before restoring the route library
     map.on('load', function() {
         if (!map.isStyleLoaded()) {
             // If style isn't loaded yet, wait for it
-            map.once('style.load', loadDefaultGPX);
+            map.once('style.load', initLibrary);
         } else {
             // If style is already loaded, just run it
-            loadDefaultGPX();
+            initLibrary();
         }
     });
 }
 
-// GPX Parser
-function parseGPX(gpxContent, fileName) {
-    try {
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(gpxContent, 'text/xml');
-        
-        // Check for parsing errors
-        const parserError = xmlDoc.querySelector('parsererror');
-        if (parserError) {
-            throw new Error('Invalid XML format');
+// Basemaps
+
+// Generic style for vector basemaps. Source layer names cover both the
+// OpenMapTiles and the Protomaps schema; names a tileset lacks draw nothing.
+// Labels are left out, so no glyph server is needed.
+const VECTOR_BASEMAP_LAYERS = [
+    { id: 'basemap-landcover', type: 'fill', sourceLayers: ['landcover', 'landuse', 'park', 'natural'], paint: { 'fill-color': '#dde8cf', 'fill-opacity': 0.7 } },
+    { id: 'basemap-water', type: 'fill', sourceLayers: ['water'], paint: { 'fill-color': '#aad3df' } },
+    { id: 'basemap-waterway', type: 'line', sourceLayers: ['waterway'], paint: { 'line-color': '#aad3df', 'line-width': 1 } },
+    { id: 'basemap-building', type: 'fill', sourceLayers: ['building', 'buildings'], minzoom: 13, paint: { 'fill-color': '#d9d0c9' } },
+    { id: 'basemap-boundary', type: 'line', sourceLayers: ['boundary', 'boundaries'], paint: { 'line-color': '#9e9cab', 'line-width': 1, 'line-dasharray': [3, 2] } },
+    { id: 'basemap-road-casing', type: 'line', sourceLayers: ['transportation', 'roads'], layout: { 'line-join': 'round' }, paint: { 'line-color': '#c8c2b8', 'line-width': ['interpolate', ['linear'], ['zoom'], 8, 0.75, 16, 8] } },
+    { id: 'basemap-road', type: 'line', sourceLayers: ['transportation', 'roads'], layout: { 'line-join': 'round' }, paint: { 'line-color': '#ffffff', 'line-width': ['interpolate', ['linear'], ['zoom'], 8, 0.25, 16, 6] } }
+];
+
+function getBasemaps() {
+    return [...BUILTIN_BASEMAPS, ...customBasemaps, ...archiveBasemaps];
+}
+
+function getBasemapSource(basemap) {
+    const source = { type: basemap.type, attribution: basemap.attribution || '' };
+    if (basemap.url) {
+        // TileJSON: zoom range and attribution come from the document
+        source.url = basemap.url;
+    } else {
+        source.tiles = basemap.tiles;
+        source.minzoom = basemap.minzoom || 0;
+        source.maxzoom = basemap.maxzoom || 22;
+    }
+    if (basemap.type === 'raster') {
+        source.tileSize = 256;
+    }
+    return source;
+}
+
+// Layers drawing the 'basemap' source; their IDs all start with 'basemap-'
+function getBasemapLayers(basemap) {
+    if (basemap.type === 'raster') {
+        return [{ id: 'basemap-raster', type: 'raster', source: 'basemap' }];
+    }
+
+    const layers = [{ id: 'basemap-background', type: 'background', paint: { 'background-color': '#f2efe9' } }];
+    VECTOR_BASEMAP_LAYERS.forEach(({ sourceLayers, ...layer }) => {
+        sourceLayers.forEach(sourceLayer => {
+            layers.push({ ...layer, id: `${layer.id}-${sourceLayer}`, source: 'basemap', 'source-layer': sourceLayer });
+        });
+    });
+    return layers;
+}
+
+// Swap the basemap in place, under the hillshade and all route layers, so
+// switching doesn't reload the style or lose what is drawn on top
+function setBasemap(id) {
+    const basemap = getBasemaps().find(basemap => basemap.id === id) || BUILTIN_BASEMAPS[0];
+    basemapId = basemap.id;
+
+    map.getStyle().layers
+        .filter(layer => layer.id.startsWith('basemap-'))
+        .forEach(layer => map.removeLayer(layer.id));
+    if (map.getSource('basemap')) {
+        map.removeSource('basemap');
+    }
+
+    map.addSource('basemap', getBasemapSource(basemap));
+    const firstLayer = map.getStyle().layers[0];
+    getBasemapLayers(basemap).forEach(layer => map.addLayer(layer, firstLayer ? firstLayer.id : undefined));
+
+    saveSetting('basemap', basemapId);
+    renderBasemapOptions();
+}
+
+function renderBasemapOptions() {
+    const group = (label, basemaps) => basemaps.length === 0 ? '' : `
+        <optgroup label="${label}">
+            ${basemaps.map(basemap => `<option value="${escapeHTML(basemap.id)}">${escapeHTML(basemap.name)}</option>`).join('')}
+        </optgroup>
+    `;
+    const select = document.getElementById('basemap-select');
+    select.innerHTML = group('Built-in', BUILTIN_BASEMAPS) + group('Custom', customBasemaps) + group('Opened files', archiveBasemaps);
+    select.value = basemapId;
+
+    const removable = [...customBasemaps, ...archiveBasemaps].some(basemap => basemap.id === basemapId);
+    document.getElementById('basemap-remove').classList.toggle('hidden', !removable);
+
+    document.getElementById('terrain-hillshade').checked = terrainSettings.hillshade;
+    document.getElementById('terrain-3d').checked = terrainSettings.terrain;
+    document.getElementById('terrain-url').value = terrainSettings.url;
+    document.getElementById('terrain-encoding').value = terrainSettings.encoding;
+    document.getElementById('terrain-maxzoom').value = terrainSettings.maxzoom;
+}
+
+function showBasemapError(message) {
+    document.getElementById('basemap-error').textContent = message;
+}
+
+function isTileTemplate(url) {
+    return ['{z}', '{x}', '{y}'].every(placeholder => url.includes(placeholder));
+}
+
+// Add a tile URL from the form: an XYZ template (a local tile server works the
+// same way), a TileJSON document or a remote PMTiles archive
+function addCustomBasemap() {
+    const url = document.getElementById('basemap-url').value.trim();
+    const type = document.getElementById('basemap-type').value;
+    const maxzoom = parseInt(document.getElementById('basemap-maxzoom').value, 10);
+    const basemap = {
+        id: `basemap-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        name: document.getElementById('basemap-name').value.trim(),
+        type,
+        attribution: escapeHTML(document.getElementById('basemap-attribution').value.trim())
+    };
+
+    if (!/^https?:\/\//i.test(url)) {
+        showBasemapError('Enter an http(s) tile URL');
+        return;
+    }
+    if (/\.pmtiles(\?.*)?$/i.test(url)) {
+        if (!pmtilesProtocol) {
+            showBasemapError('The PMTiles library could not be loaded');
+            return;
         }
+        basemap.url = `pmtiles://${url}`;
+    } else if (isTileTemplate(url)) {
+        basemap.tiles = [url];
+        if (Number.isFinite(maxzoom)) {
+            basemap.maxzoom = maxzoom;
+        }
+    } else if (/\.json(\?.*)?$/i.test(url)) {
+        basemap.url = url;
+    } else {
+        showBasemapError('The URL needs {z}, {x} and {y} placeholders, or must point to a TileJSON or .pmtiles file');
+        return;
+    }
+    if (!basemap.name) {
+        basemap.name = new URL(url).host;
+    }
+
+    customBasemaps.push(basemap);
+    saveSetting('customBasemaps', customBasemaps);
+    ['basemap-name', 'basemap-url', 'basemap-maxzoom', 'basemap-attribution'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    showBasemapError('');
+    setBasemap(basemap.id);
+}
+
+// Remove the selected custom basemap, or close the selected archive
+function removeBasemap(id) {
+    const archive = archiveBasemaps.find(basemap => basemap.id === id);
+    if (archive && mbtilesDatabases.has(archive.key)) {
+        mbtilesDatabases.get(archive.key).close();
+        mbtilesDatabases.delete(archive.key);
+    }
+    archiveBasemaps = archiveBasemaps.filter(basemap => basemap.id !== id);
+    if (customBasemaps.some(basemap => basemap.id === id)) {
+        customBasemaps = customBasemaps.filter(basemap => basemap.id !== id);
+        saveSetting('customBasemaps', customBasemaps);
+    }
+    setBasemap(BUILTIN_BASEMAPS[0].id);
+}
 
-        const coordinates = [];
-        const elevations = [];
-        let routeName = fileName.replace('.gpx', '');
+// Open an MBTiles or PMTiles file from disk as an offline basemap
+async function openTileArchive(file) {
+    showBasemapError('');
+    try {
+        let basemap;
+        if (/\.pmtiles$/i.test(file.name)) {
+            basemap = await openPMTiles(file);
+        } else if (/\.mbtiles$/i.test(file.name)) {
+            basemap = await openMBTiles(file);
+        } else {
+            throw new Error('Choose an .mbtiles or .pmtiles file');
+        }
+        archiveBasemaps = archiveBasemaps.filter(archive => archive.id !== basemap.id).concat(basemap);
+        setBasemap(basemap.id);
+    } catch (error) {
+        showBasemapError(`${file.name}: ${error.message}`);
+    }
+}
 
-        // Extract name from metadata
-        const metadataName = xmlDoc.querySelector('metadata > name');
-        if (metadataName) {
-            routeName = metadataName.textContent.trim();
+// Archive metadata is untrusted, but the attribution control renders HTML: keep
+// the text and plain http(s) links, drop every other tag and attribute
+function sanitizeAttribution(html) {
+    const toHTML = node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+            return escapeHTML(node.textContent);
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE || node.localName === 'script' || node.localName === 'style') {
+            return '';
+        }
+        const href = node.localName === 'a' ? node.getAttribute('href') || '' : '';
+        if (/^https?:\/\//i.test(href)) {
+            return `<a href="${escapeHTML(href)}">${escapeHTML(node.textContent)}</a>`;
         }
+        return Array.from(node.childNodes).map(toHTML).join('');
+    };
+    const body = new DOMParser().parseFromString(String(html || ''), 'text/html').body;
+    return Array.from(body.childNodes).map(toHTML).join('');
+}
 
-        // Process tracks
-        const tracks = xmlDoc.querySelectorAll('trk');
-        if (tracks.length > 0) {
-            const track = tracks[0];
-            const trackName = track.querySelector('name');
-            if (trackName) {
-                routeName = trackName.textContent.trim();
-            }
+// PMTiles are read in ranges straight from the file, so large archives are fine
+async function openPMTiles(file) {
+    if (!pmtilesProtocol) {
+        throw new Error('The PMTiles library could not be loaded');
+    }
+    const archive = new pmtiles.PMTiles(new pmtiles.FileSource(file));
+    const header = await archive.getHeader();
+    const metadata = await archive.getMetadata();
+    pmtilesProtocol.add(archive);
 
-            const segments = track.querySelectorAll('trkseg');
-            segments.forEach(segment => {
-                const points = segment.querySelectorAll('trkpt');
-                points.forEach(point => {
-                    const lat = parseFloat(point.getAttribute('lat'));
-                    const lon = parseFloat(point.getAttribute('lon'));
-                    
-                    if (!isNaN(lat) && !isNaN(lon)) {
-                        coordinates.push([lon, lat]);
-                        
-                        const ele = point.querySelector('ele');
-                        if (ele) {
-                            const elevation = parseFloat(ele.textContent);
-                            if (!isNaN(elevation)) {
-                                elevations.push(elevation);
-                            }
-                        }
-                    }
-                });
+    return {
+        id: `archive-${file.name}`,
+        key: file.name,
+        name: metadata.name || file.name,
+        type: header.tileType === pmtiles.TileType.Mvt ? 'vector' : 'raster',
+        tiles: [`pmtiles://${file.name}/{z}/{x}/{y}`],
+        minzoom: header.minZoom,
+        maxzoom: header.maxZoom,
+        attribution: sanitizeAttribution(metadata.attribution)
+    };
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Could not load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+function loadSqlJs() {
+    if (!sqlJsPromise) {
+        sqlJsPromise = loadScript(`${SQL_JS_URL}sql-wasm.js`)
+            .then(() => initSqlJs({ locateFile: name => `${SQL_JS_URL}${name}` }))
+            .catch(error => {
+                sqlJsPromise = null;
+                // Like MapLibre, the reader comes from the CDN (see Requirements in the README)
+                throw new Error(`The MBTiles reader could not be loaded from ${SQL_JS_URL} (${error.message}). ` +
+                    'Check the connection, or use a PMTiles archive instead.');
             });
-        }
+    }
+    return sqlJsPromise;
+}
 
-        // Process routes if no tracks found
-        if (coordinates.length === 0) {
-            const routes = xmlDoc.querySelectorAll('rte');
-            if (routes.length > 0) {
-                const route = routes[0];
-                const routeNameEl = route.querySelector('name');
-                if (routeNameEl) {
-                    routeName = routeNameEl.textContent.trim();
-                }
+// MBTiles are SQLite databases; sql.js needs the whole file in memory
+async function openMBTiles(file) {
+    const SQL = await loadSqlJs();
+    const database = new SQL.Database(new Uint8Array(await file.arrayBuffer()));
+    const metadata = {};
+    try {
+        const [rows] = database.exec('SELECT name, value FROM metadata');
+        (rows ? rows.values : []).forEach(([name, value]) => {
+            metadata[name] = value;
+        });
+        const [zooms] = database.exec('SELECT MIN(zoom_level), MAX(zoom_level) FROM tiles');
+        metadata.zooms = zooms.values[0];
+    } catch (error) {
+        database.close();
+        throw new Error('Not an MBTiles database');
+    }
 
-                const points = route.querySelectorAll('rtept');
-                points.forEach(point => {
-                    const lat = parseFloat(point.getAttribute('lat'));
-                    const lon = parseFloat(point.getAttribute('lon'));
-                    
-                    if (!isNaN(lat) && !isNaN(lon)) {
-                        coordinates.push([lon, lat]);
-                        
-                        const ele = point.querySelector('ele');
-                        if (ele) {
-                            const elevation = parseFloat(ele.textContent);
-                            if (!isNaN(elevation)) {
-                                elevations.push(elevation);
-                            }
-                        }
-                    }
-                });
-            }
-        }
+    if (mbtilesDatabases.has(file.name)) {
+        mbtilesDatabases.get(file.name).close();
+    }
+    mbtilesDatabases.set(file.name, database);
 
-        if (coordinates.length === 0) {
-            return null;
+    return {
+        id: `archive-${file.name}`,
+        key: file.name,
+        name: metadata.name || file.name,
+        type: metadata.format === 'pbf' ? 'vector' : 'raster',
+        tiles: [`mbtiles://${file.name}/{z}/{x}/{y}`],
+        minzoom: metadata.zooms[0] || 0,
+        maxzoom: metadata.zooms[1] || 22,
+        attribution: sanitizeAttribution(metadata.attribution)
+    };
+}
+
+// mbtiles://<file>/{z}/{x}/{y} protocol handler. Missing tiles come back
+// empty so they are drawn blank instead of failing.
+function loadMBTilesTile(params, callback) {
+    let cancelled = false;
+    const [, key, z, x, y] = params.url.match(/^mbtiles:\/\/(.+)\/(\d+)\/(\d+)\/(\d+)$/) || [];
+    const database = mbtilesDatabases.get(key);
+
+    if (!database) {
+        callback(new Error(`Tile archive ${key} is not open`));
+    } else {
+        // MBTiles number rows from the bottom (TMS)
+        const statement = database.prepare('SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?');
+        statement.bind([Number(z), Number(x), (1 << Number(z)) - 1 - Number(y)]);
+        const data = statement.step() ? statement.get()[0] : null;
+        statement.free();
+
+        inflateTile(data).then(
+            buffer => !cancelled && callback(null, buffer, null, null),
+            error => !cancelled && callback(error)
+        );
+    }
+    return { cancel: () => { cancelled = true; } };
+}
+
+// Vector tiles in MBTiles are usually gzipped
+async function inflateTile(data) {
+    if (!data) {
+        return new ArrayBuffer(0);
+    }
+    if (data[0] === 0x1f && data[1] === 0x8b) {
+        return new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream('gzip'))).arrayBuffer();
+    }
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+// Terrain
+
+function getDemSource() {
+    return {
+        type: 'raster-dem',
+        tiles: [terrainSettings.url],
+        tileSize: 256,
+        encoding: terrainSettings.encoding,
+        maxzoom: terrainSettings.maxzoom,
+        attribution: terrainSettings.url === DEFAULT_TERRAIN.url
+            ? '<a href="https://github.com/tilezen/joerd/blob/master/docs/attribution.md">Terrain Tiles</a>'
+            : ''
+    };
+}
+
+// Rebuild the hillshade layer and 3D terrain from the settings. Hillshade and
+// terrain use separate DEM sources, as MapLibre recommends.
+function syncTerrainLayers() {
+    if (map.getTerrain()) {
+        map.setTerrain(null);
+    }
+    if (map.getLayer('hillshade-layer')) {
+        map.removeLayer('hillshade-layer');
+    }
+    ['hillshade-dem', 'terrain-dem'].forEach(sourceId => {
+        if (map.getSource(sourceId)) {
+            map.removeSource(sourceId);
         }
+    });
 
-        // Calculate distance using Haversine formula
-        function calculateDistance(coords) {
-            let totalDistance = 0;
-            const R = 6371000; // Earth's radius in meters
-            
-            for (let i = 1; i < coords.length; i++) {
-                const [lon1, lat1] = coords[i - 1];
-                const [lon2, lat2] = coords[i];
-                
-                const dLat = (lat2 - lat1) * Math.PI / 180;
-                const dLon = (lon2 - lon1) * Math.PI / 180;
-                const a = 
-                    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-                    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-                    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-                const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-                const distance = R * c;
-                
-                totalDistance += distance;
+    if (terrainSettings.hillshade) {
+        map.addSource('hillshade-dem', getDemSource());
+        // Right above the basemap, under the routes
+        const firstOverlay = map.getStyle().layers.find(layer => !layer.id.startsWith('basemap-'));
+        map.addLayer({
+            id: 'hillshade-layer',
+            type: 'hillshade',
+            source: 'hillshade-dem',
+            paint: {
+                'hillshade-exaggeration': 0.5,
+                'hillshade-shadow-color': '#473b24'
             }
-            
-            return totalDistance;
-        }
+        }, firstOverlay ? firstOverlay.id : undefined);
+    }
+    if (terrainSettings.terrain) {
+        map.addSource('terrain-dem', getDemSource());
+        map.setTerrain({ source: 'terrain-dem', exaggeration: terrainSettings.exaggeration });
+    }
+}
 
-        const distance = calculateDistance(coordinates);
-        const maxElevation = elevations.length > 0 ? Math.max(...elevations) : undefined;
+function setTerrainOption(key, value) {
+    terrainSettings[key] = value;
+    saveSetting('terrain', terrainSettings);
+    syncTerrainLayers();
 
-        return {
-            id: `route-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-            coordinates,
-            name: routeName,
-            distance,
-            elevation: maxElevation
-        };
-    } catch (error) {
-        console.error('Error parsing GPX:', error);
-        throw error;
+    // Tilt the camera so the relief is visible, and back when it is turned off
+    if (key === 'terrain') {
+        map.easeTo({ pitch: value ? 60 : 0 });
+    }
+}
+
+function setTerrainURL(url) {
+    if (!isTileTemplate(url)) {
+        showBasemapError('The elevation tile URL needs {z}, {x} and {y} placeholders');
+        document.getElementById('terrain-url').value = terrainSettings.url;
+        return;
+    }
+    showBasemapError('');
+    setTerrainOption('url', url);
+}
+
+// Save content as a file through a temporary download link
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// File-system safe version of a route name
+function toFileName(name) {
+    return name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'routes';
+}
+
+// Export routes as 'gpx', 'gpx-track', 'geojson' or 'merged-gpx'
+function exportRoutes(routeIds, format) {
+    const routeList = routes.filter(route => routeIds.includes(route.id));
+    if (routeList.length === 0) return;
+
+    const baseName = routeList.length === 1 ? toFileName(routeList[0].name) : `pedalpath-${routeList.length}-routes`;
+
+    if (format === 'geojson') {
+        downloadFile(JSON.stringify(routesToGeoJSON(routeList), null, 2), `${baseName}.geojson`, 'application/geo+json');
+    } else if (format === 'gpx-track') {
+        // Planned routes as <trk> instead of <rte>
+        downloadFile(routesToGPX(routeList.map(route => ({ ...route, type: 'track' }))), `${baseName}.gpx`, 'application/gpx+xml');
+    } else if (format === 'merged-gpx') {
+        const merged = mergeRoutes(routeList);
+        downloadFile(routesToGPX([merged]), `${toFileName(merged.name)}.gpx`, 'application/gpx+xml');
+    } else {
+        downloadFile(routesToGPX(routeList), `${baseName}.gpx`, 'application/gpx+xml');
     }
 }
 
+// Export the selected routes
+function exportSelection(format) {
+    exportRoutes(routes.filter(route => selectedRoutes.has(route.id)).map(route => route.id), format);
+}
+
 // Format distance
 function formatDistance(distance) {
     if (!distance) return 'N/A';
@@ -185,108 +623,94 @@ function formatDistance(distance) {
         : `${Math.round(distance)} m`;
 }
 
-// Update Map with Routes
-function updateMap() {
+// Format gradient
+function formatGradient(gradient) {
+    if (gradient === null || gradient === undefined) return 'N/A';
+    return `${gradient.toFixed(1)}%`;
+}
+
+// Format duration given in seconds
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return 'N/A';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return hours > 0
+        ? `${hours}h ${String(minutes).padStart(2, '0')}m`
+        : `${minutes}m ${String(Math.floor(seconds % 60)).padStart(2, '0')}s`;
+}
+
+// Format speed given in m/s
+function formatSpeed(speed) {
+    if (speed === null || speed === undefined) return 'N/A';
+    return `${(speed * 3.6).toFixed(1)} km/h`;
+}
+
+// Format a sensor reading with its unit
+function formatSensorValue(channel, value) {
+    if (value === null || value === undefined) return 'N/A';
+    return `${Math.round(value)} ${SENSOR_LABELS[channel].unit}`;
+}
+
+// Format a timestamp (ms) as a short date
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// Format a timestamp (ms) as date and time
+function formatDateTime(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+        year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+}
+
+// One-line summary shown under a route name
+function formatRouteSummary(route) {
+    const parts = [formatDistance(route.distance)];
+    if (route.ascent !== undefined) {
+        parts.push(`↑${Math.round(route.ascent)}m ↓${Math.round(route.descent)}m`);
+    }
+    if (route.elevation) {
+        parts.push(`max ${Math.round(route.elevation)}m`);
+    }
+    if (route.movingTime !== undefined) {
+        parts.push(`${formatDuration(route.movingTime)} @ ${formatSpeed(route.avgSpeed)}`);
+    }
+    if (route.startTime !== undefined) {
+        parts.push(formatDate(route.startTime));
+    }
+    return parts.join(' • ');
+}
+
+// Update Map with Routes. Pass fitBounds = false to keep the current camera.
+function updateMap(fitBounds = true) {
     if (!map) return;
     
     // Wait for map to be loaded and style ready before updating
     if (!map.loaded() || !map.isStyleLoaded()) {
         if (map.loaded()) {
-            map.once('style.load', updateMap);
+            map.once('style.load', () => updateMap(fitBounds));
         } else {
-            map.once('load', updateMap);
+            map.once('load', () => updateMap(fitBounds));
         }
         return;
     }
 
-    // Clear existing routes
-    addedRouteIds.forEach(routeId => {
-        const layerId = `route-layer-${routeId}`;
-        const sourceId = `route-${routeId}`;
-        
-        // IMPORTANT: Remove layer first, then source
-        if (map.getLayer(layerId)) {
-            map.removeLayer(layerId);
-        }
-        if (map.getSource(sourceId)) {
-            map.removeSource(sourceId);
-        }
-    });
-    addedRouteIds = []; // Clear the tracking array
-
     // Always hide placeholder - map should always be visible
     document.getElementById('map-placeholder').classList.add('hidden');
 
-    const allBounds = [];
-    
-    routes.forEach((route, index) => {
-        // Only show selected routes
-        if (!selectedRoutes.has(route.id)) {
-            return;
-        }
-
-        if (route.coordinates.length === 0) {
-            return;
-        }
-
-        // Convert coordinates to GeoJSON format [lng, lat]
-        const coordinates = route.coordinates.map(coord => [coord[0], coord[1]]);
-        
-        // Collect bounds
-        coordinates.forEach(coord => {
-            allBounds.push(coord);
-        });
-
-        // Create GeoJSON source
-        const sourceId = `route-${route.id}`;
-        const layerId = `route-layer-${route.id}`;
-        
-        try {
-            // Remove source/layer if they already exist
-            if (map.getLayer(layerId)) {
-                map.removeLayer(layerId);
-            }
-            if (map.getSource(sourceId)) {
-                map.removeSource(sourceId);
-            }
-            
-            map.addSource(sourceId, {
-                type: 'geojson',
-                data: {
-                    type: 'Feature',
-                    properties: {},
-                    geometry: {
-                        type: 'LineString',
-                        coordinates: coordinates
-                    }
-                }
-            });
+    syncRouteLayers();
+    syncCoverageLayers();
+    updateWaypointMarkers();
 
-            // Add layer
-            map.addLayer({
-                id: layerId,
-                type: 'line',
-                source: sourceId,
-                layout: {
-                    'line-join': 'round',
-                    'line-cap': 'round'
-                },
-                paint: {
-                    'line-color': routeColors[index % routeColors.length],
-                    'line-width': 4,
-                    'line-opacity': 1.0
-                }
-            });
-        } catch (error) {
-            console.error(`Error adding route ${route.id} to map:`, error);
+    const allBounds = [];
+    routes.forEach(route => {
+        if (selectedRoutes.has(route.id)) {
+            route.coordinates.forEach(coord => allBounds.push(coord));
         }
-
-        // Add the route.id to our tracking array
-        addedRouteIds.push(route.id);
     });
 
     // Fit map to show all selected routes (skip if loading default route)
-    if (allBounds.length > 0 && !isLoadingDefaultRoute) {
+    if (fitBounds && allBounds.length > 0 && !isLoadingDefaultRoute) {
         // Calculate bounds properly
         let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
         
@@ -313,161 +737,3144 @@ function updateMap() {
     }
 }
 
-// Update UI
-function updateUI() {
-    // Update route list
-    const routeList = document.getElementById('route-list');
-    const routesCard = document.getElementById('routes-card');
-    
-    if (routes.length > 0) {
-        routesCard.style.display = 'block';
-        routeList.innerHTML = routes.map((route, index) => `
-            <div class="route-item">
-                <div class="route-info">
-                    <div class="route-color" style="background-color: ${routeColors[index % routeColors.length]}"></div>
-                    <div class="route-details">
-                        <h4>${route.name}</h4>
-                        <p>${formatDistance(route.distance)}${route.elevation ? ` • ${Math.round(route.elevation)}m elevation` : ''}</p>
-                    </div>
-                </div>
-                <button class="btn-remove" onclick="removeRoute('${route.id}')">
-                    <svg class="icon-sm" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
-                    </svg>
-                </button>
-            </div>
-        `).join('');
-    } else {
-        routesCard.style.display = 'none';
+// Simplification tolerance (meters) for a zoom level, or 0 for full resolution.
+// Each tolerance is roughly one screen pixel at the highest zoom it is used for.
+function getSimplifyTolerance(zoom) {
+    if (zoom <= 9) return SIMPLIFY_TOLERANCES[0];
+    if (zoom <= 12) return SIMPLIFY_TOLERANCES[1];
+    if (zoom <= 14) return SIMPLIFY_TOLERANCES[2];
+    return 0;
+}
+
+// Indices of the points drawn at a tolerance (all points for 0)
+function getRenderIndices(route, tolerance) {
+    if (!tolerance) {
+        return null;
+    }
+    // Routes stored before simplification existed get their levels computed here
+    if (!route.simplified) {
+        route.simplified = {};
     }
+    if (!route.simplified[tolerance]) {
+        route.simplified[tolerance] = simplifyRoute(route, tolerance);
+    }
+    return route.simplified[tolerance];
+}
 
-    // Update analytics - only calculate from selected routes
-    const selectedRoutesList = routes.filter(route => selectedRoutes.has(route.id));
-    const totalDistance = selectedRoutesList.reduce((sum, route) => sum + (route.distance || 0), 0);
-    const totalRoutes = selectedRoutesList.length;
-    const maxElevation = selectedRoutesList.reduce((max, route) => Math.max(max, route.elevation || 0), 0);
+// Keep one source and layer per route on the map. Selection changes only toggle
+// layer visibility; source data is replaced with setData when the color scale
+// or the zoom-dependent simplification level changes. Routes that left the
+// library (or were replaced by an edited copy) are removed.
+function syncRouteLayers() {
+    const colorScale = mapMode === 'lines' ? getColorScale(colorMode, routes.filter(route => selectedRoutes.has(route.id))) : null;
+    const colorKey = colorScale ? `${colorScale.mode}:${colorScale.min}:${colorScale.max}` : 'solid';
+    const tolerance = getSimplifyTolerance(map.getZoom());
+    renderColorLegend(colorScale);
 
-    document.getElementById('route-count').textContent = routes.length; // Total routes loaded
-    document.getElementById('total-distance').textContent = formatDistance(totalDistance);
-    document.getElementById('total-routes').textContent = totalRoutes; // Selected routes count
+    renderedRoutes.forEach((rendered, routeId) => {
+        if (!routes.includes(rendered.route)) {
+            removeRouteLayer(routeId);
+        }
+    });
 
-    if (maxElevation > 0) {
-        document.getElementById('max-elevation-item').style.display = 'flex';
-        document.getElementById('max-elevation').textContent = `${Math.round(maxElevation)}m`;
-    } else {
-        document.getElementById('max-elevation-item').style.display = 'none';
-    }
+    routes.forEach(route => {
+        const sourceId = `route-${route.id}`;
+        const layerId = `route-layer-${route.id}`;
+        const rendered = renderedRoutes.get(route.id);
 
-    const statsCard = document.getElementById('stats-card');
-    const emptyAnalyticsCard = document.getElementById('empty-analytics-card');
-    const routeSelectorCard = document.getElementById('route-selector-card');
-    const routeSelectorList = document.getElementById('route-selector-list');
-    
-    if (routes.length > 0) {
-        routeSelectorCard.style.display = 'block';
-        
-        // Show stats only if there are selected routes
-        if (totalRoutes > 0) {
-            statsCard.style.display = 'block';
-            emptyAnalyticsCard.style.display = 'none';
-        } else {
-            statsCard.style.display = 'none';
-            emptyAnalyticsCard.style.display = 'block';
+        // Only show selected routes, and no lines at all in the coverage modes
+        if (!selectedRoutes.has(route.id) || route.coordinates.length === 0 || mapMode !== 'lines') {
+            if (rendered) {
+                map.setLayoutProperty(layerId, 'visibility', 'none');
+            }
+            return;
         }
-        
-        // Update route selector list
-        routeSelectorList.innerHTML = routes.map((route, index) => {
-            const isSelected = selectedRoutes.has(route.id);
-            // Use HTML entity encoding for route.id to safely store in data attribute
-            const encodedRouteId = route.id.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
-            return `
-                <div class="route-selector-item ${isSelected ? 'selected' : ''}" data-route-id="${encodedRouteId}">
-                    <div class="route-selector-checkbox">
-                        <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="3" d="M5 13l4 4L19 7" />
-                        </svg>
-                    </div>
-                    <div class="route-selector-info">
-                        <h4>${route.name}</h4>
-                        <p>${formatDistance(route.distance)}${route.elevation ? ` • ${Math.round(route.elevation)}m elevation` : ''}</p>
-                    </div>
-                    <div class="route-color" style="background-color: ${routeColors[index % routeColors.length]}; width: 1rem; height: 1rem; border-radius: 50%; flex-shrink: 0;"></div>
-                </div>
-            `;
-        }).join('');
-    } else {
-        statsCard.style.display = 'none';
+
+        const indices = getRenderIndices(route, tolerance);
+        const getData = () => colorScale
+            ? buildColoredFeatures(route, colorScale, indices)
+            : {
+                type: 'Feature',
+                properties: {},
+                geometry: getRouteGeometry(route, indices)
+            };
+        const lineColor = colorScale ? getColorExpression(colorScale) : route.color;
+
+        try {
+            if (!rendered) {
+                map.addSource(sourceId, {
+                    type: 'geojson',
+                    data: getData()
+                });
+
+                // Add layer
+                map.addLayer({
+                    id: layerId,
+                    type: 'line',
+                    source: sourceId,
+                    layout: {
+                        'line-join': 'round',
+                        'line-cap': 'round'
+                    },
+                    paint: {
+                        'line-color': lineColor,
+                        'line-width': getRouteLineWidth(route),
+                        'line-opacity': 1.0
+                    }
+                });
+                applyRouteLineStyle(route);
+                renderedRoutes.set(route.id, { route, tolerance, colorKey });
+                return;
+            }
+
+            if (rendered.tolerance !== tolerance || rendered.colorKey !== colorKey) {
+                map.getSource(sourceId).setData(getData());
+                rendered.tolerance = tolerance;
+                rendered.colorKey = colorKey;
+            }
+            map.setPaintProperty(layerId, 'line-color', lineColor);
+            applyRouteLineStyle(route);
+            map.setLayoutProperty(layerId, 'visibility', 'visible');
+        } catch (error) {
+            console.error(`Error adding route ${route.id} to map:`, error);
+        }
+    });
+}
+
+function removeRouteLayer(routeId) {
+    const layerId = `route-layer-${routeId}`;
+    const sourceId = `route-${routeId}`;
+
+    // IMPORTANT: Remove layer first, then source
+    if (map.getLayer(layerId)) {
+        map.removeLayer(layerId);
+    }
+    if (map.getSource(sourceId)) {
+        map.removeSource(sourceId);
+    }
+    renderedRoutes.delete(routeId);
+    if (hoveredRouteId === routeId) {
+        clearRouteHover();
+    }
+}
+
+// Route Style
+// Color, width and dash of a route line, edited in the style panel and stored
+// with the route. Hovering a line highlights it and shows its stats.
+
+// Least used palette color, so colors stay distinct as routes come and go
+function getNextRouteColor() {
+    const counts = routeColors.map(color => routes.filter(route => route.color === color).length);
+    return routeColors[counts.indexOf(Math.min(...counts))];
+}
+
+function getRouteLineWidth(route) {
+    return route.lineWidth || DEFAULT_LINE_WIDTH;
+}
+
+function applyRouteLineStyle(route) {
+    const layerId = `route-layer-${route.id}`;
+    if (!map.getLayer(layerId)) return;
+    const highlight = route.id === hoveredRouteId ? 3 : 0;
+    map.setPaintProperty(layerId, 'line-width', getRouteLineWidth(route) + highlight);
+    map.setPaintProperty(layerId, 'line-dasharray', LINE_DASHES[route.dash] || null);
+}
+
+function openRouteStyle(routeId) {
+    if (!routes.some(route => route.id === routeId)) return;
+    closeRouteEditor();
+    closeRoutePlanner();
+    styledRouteId = routeId;
+    document.getElementById('style-panel').classList.remove('hidden');
+    renderRouteStyle();
+}
+
+function closeRouteStyle() {
+    styledRouteId = null;
+    document.getElementById('style-panel').classList.add('hidden');
+}
+
+function renderRouteStyle() {
+    const route = routes.find(route => route.id === styledRouteId);
+    if (!route) {
+        closeRouteStyle();
+        return;
+    }
+
+    document.getElementById('style-route-name').textContent = route.name;
+    document.getElementById('style-palette').innerHTML = routeColors.map(color => `
+        <button class="style-swatch ${color === route.color ? 'active' : ''}" style="background-color: ${color}" title="${color}" onclick="setRouteStyle({ color: '${color}' })"></button>
+    `).join('');
+    document.getElementById('style-color').value = route.color;
+    document.getElementById('style-width').value = getRouteLineWidth(route);
+    document.getElementById('style-width-value').textContent = `${getRouteLineWidth(route)} px`;
+    document.getElementById('style-dash').value = route.dash || 'solid';
+}
+
+// Apply style changes to the route in the panel. Width changes while dragging
+// the slider only restyle the line; the rest also refreshes the lists.
+function setRouteStyle(changes, live = false) {
+    const route = routes.find(route => route.id === styledRouteId);
+    if (!route) return;
+
+    Object.assign(route, changes);
+    applyRouteLineStyle(route);
+    document.getElementById('style-width-value').textContent = `${getRouteLineWidth(route)} px`;
+    if (live) return;
+
+    saveRoute(route);
+    updateMap(false);
+    updateUI();
+    renderRouteStyle();
+}
+
+function getHoverLayerIds() {
+    return Array.from(renderedRoutes.keys())
+        .map(routeId => `route-layer-${routeId}`)
+        .filter(layerId => map.getLayoutProperty(layerId, 'visibility') !== 'none');
+}
+
+function handleRouteHover(e) {
+    const layers = routePlanner ? [] : getHoverLayerIds();
+    const features = layers.length > 0 ? map.queryRenderedFeatures([
+        [e.point.x - 4, e.point.y - 4],
+        [e.point.x + 4, e.point.y + 4]
+    ], { layers }) : [];
+    const route = features.length > 0 && routes.find(route => `route-layer-${route.id}` === features[0].layer.id);
+
+    if (!route) {
+        clearRouteHover();
+        return;
+    }
+
+    if (route.id !== hoveredRouteId) {
+        const previous = routes.find(candidate => candidate.id === hoveredRouteId);
+        hoveredRouteId = route.id;
+        if (previous) {
+            applyRouteLineStyle(previous);
+        }
+        applyRouteLineStyle(route);
+
+        if (!routeHoverPopup) {
+            routeHoverPopup = new maplibregl.Popup({ closeButton: false, closeOnClick: false, offset: 12, className: 'route-hover-popup' });
+        }
+        routeHoverPopup.setHTML(`
+            <h4>${escapeHTML(route.name)}</h4>
+            <p>${formatRouteSummary(route)}</p>
+        `);
+    }
+    routeHoverPopup.setLngLat(e.lngLat).addTo(map);
+}
+
+function clearRouteHover() {
+    const route = routes.find(candidate => candidate.id === hoveredRouteId);
+    hoveredRouteId = null;
+    if (route) {
+        applyRouteLineStyle(route);
+    }
+    if (routeHoverPopup) {
+        routeHoverPopup.remove();
+    }
+}
+
+// Color By
+// Ramps are [value, color] stops; elevation, speed and sensor ramps are stretched
+// over the range of the selected routes, gradient uses fixed percentages.
+const COLOR_RAMPS = {
+    elevation: ['#2c7bb6', '#00a6ca', '#90eb9d', '#f9d057', '#f29e2e', '#d7191c'],
+    speed: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+    sensor: ['#fcfdbf', '#fc8961', '#b73779', '#51127c', '#000004'],
+    gradient: [[-10, '#2563eb'], [-4, '#60a5fa'], [0, '#22c55e'], [4, '#eab308'], [8, '#f97316'], [12, '#dc2626'], [16, '#7f1d1d']]
+};
+const NO_DATA_COLOR = '#9ca3af';
+
+// Rate of change of `values` along `axis`, measured over a window of
+// `halfWindow` on each side of every point. Points where either array is null get null.
+function calculateWindowedRates(values, axis, halfWindow) {
+    const rates = new Array(values.length).fill(null);
+    const valid = [];
+    values.forEach((value, index) => {
+        if (value !== null && axis[index] !== null) valid.push(index);
+    });
+
+    let low = 0;
+    let high = 0;
+    valid.forEach((index, position) => {
+        while (axis[index] - axis[valid[low]] > halfWindow) low++;
+        while (high < valid.length - 1 && axis[valid[high]] - axis[index] < halfWindow) high++;
+        const run = axis[valid[high]] - axis[valid[low]];
+        if (run > 0) {
+            rates[index] = (values[valid[high]] - values[valid[low]]) / run;
+        }
+    });
+
+    return rates;
+}
+
+// Per-point values for a color mode (elevation in m, gradient in %, speed in m/s,
+// sensor channels in their own units)
+function getPointValues(route, mode) {
+    if (mode === 'elevation') {
+        return route.elevations;
+    }
+    if (SENSOR_LABELS[mode]) {
+        return (route.sensors || {})[mode] || route.coordinates.map(() => null);
+    }
+
+    let cached = pointValueCache.get(route);
+    if (!cached) {
+        cached = {};
+        pointValueCache.set(route, cached);
+    }
+    if (!cached[mode]) {
+        if (mode === 'gradient') {
+            cached[mode] = calculateWindowedRates(route.elevations, route.distances, GRADIENT_WINDOW / 2)
+                .map(rate => rate === null ? null : rate * 100);
+        } else if (mode === 'speed') {
+            cached[mode] = calculateWindowedRates(route.distances, route.times, MAX_SPEED_WINDOW * 1000 / 2)
+                .map(rate => rate === null ? null : rate * 1000);
+        }
+    }
+    return cached[mode];
+}
+
+// Value range and color stops for the selected routes, or null for solid colors
+function getColorScale(mode, routeList) {
+    if (mode === 'gradient') {
+        const stops = COLOR_RAMPS.gradient;
+        return { mode, stops, min: stops[0][0], max: stops[stops.length - 1][0], format: value => `${value}%` };
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    let format;
+    if (mode === 'elevation') {
+        routeList.forEach(route => {
+            if (route.minElevation === undefined) return;
+            min = Math.min(min, route.minElevation);
+            max = Math.max(max, route.elevation);
+        });
+        format = value => `${Math.round(value)}m`;
+    } else if (mode === 'speed') {
+        routeList.forEach(route => {
+            if (!route.maxSpeed) return;
+            min = 0;
+            max = Math.max(max, route.maxSpeed);
+        });
+        format = value => `${Math.round(value * 3.6)} km/h`;
+    } else if (SENSOR_LABELS[mode]) {
+        routeList.forEach(route => {
+            const stats = (route.sensorStats || {})[mode];
+            if (!stats) return;
+            min = Math.min(min, stats.min);
+            max = Math.max(max, stats.max);
+        });
+        format = value => formatSensorValue(mode, value);
+    } else {
+        return null;
+    }
+
+    if (min === Infinity) {
+        return { mode, stops: [], min: null, max: null, format };
+    }
+    if (max - min < 1) max = min + 1;
+
+    const colors = COLOR_RAMPS[mode] || COLOR_RAMPS.sensor;
+    const stops = colors.map((color, index) => [min + (max - min) * index / (colors.length - 1), color]);
+    return { mode, stops, min, max, format };
+}
+
+// MapLibre expression coloring line features by their `value` property
+function getColorExpression(scale) {
+    if (scale.stops.length === 0) {
+        return NO_DATA_COLOR;
+    }
+    return [
+        'case',
+        ['has', 'value'],
+        ['interpolate', ['linear'], ['get', 'value'], ...scale.stops.flat()],
+        NO_DATA_COLOR
+    ];
+}
+
+// Split a route (or its simplified `indices`) into line features carrying a
+// `value` for data-driven coloring. Values are snapped to COLOR_BINS steps and consecutive points in the same step
+// are merged into one feature to keep the feature count low.
+function buildColoredFeatures(route, scale, indices = null) {
+    const values = getPointValues(route, scale.mode);
+    const features = [];
+    const step = scale.min !== null ? (scale.max - scale.min) / COLOR_BINS : 1;
+    const segmentStarts = new Set(route.segments || [0]);
+
+    const binOf = index => {
+        const value = values[index];
+        if (value === null || value === undefined || scale.min === null) return null;
+        const clamped = Math.min(Math.max(value, scale.min), scale.max);
+        return Math.min(Math.floor((clamped - scale.min) / step), COLOR_BINS - 1);
+    };
+
+    const points = indices || route.coordinates.map((coord, index) => index);
+    let current = null;
+    for (let p = 1; p < points.length; p++) {
+        const i = points[p];
+        if (segmentStarts.has(i)) {
+            current = null;
+            continue;
+        }
+        const bin = binOf(i);
+        if (current && current.bin === bin) {
+            current.coordinates.push(route.coordinates[i]);
+            continue;
+        }
+        current = { bin, coordinates: [route.coordinates[points[p - 1]], route.coordinates[i]] };
+        features.push(current);
+    }
+
+    return {
+        type: 'FeatureCollection',
+        features: features.map(({ bin, coordinates }) => ({
+            type: 'Feature',
+            properties: bin === null ? {} : { value: scale.min + (bin + 0.5) * step },
+            geometry: { type: 'LineString', coordinates }
+        }))
+    };
+}
+
+function renderColorLegend(scale) {
+    const legend = document.getElementById('color-legend');
+
+    if (!scale) {
+        legend.classList.add('hidden');
+        return;
+    }
+
+    legend.classList.remove('hidden');
+    if (scale.stops.length === 0) {
+        const label = SENSOR_LABELS[scale.mode] ? SENSOR_LABELS[scale.mode].name.toLowerCase() : scale.mode;
+        legend.innerHTML = `<p class="legend-note">No ${label} data in the selected routes</p>`;
+        return;
+    }
+
+    const gradient = scale.stops
+        .map(([value, color]) => `${color} ${((value - scale.min) / (scale.max - scale.min) * 100).toFixed(1)}%`)
+        .join(', ');
+    legend.innerHTML = `
+        <div class="legend-bar" style="background: linear-gradient(to right, ${gradient});"></div>
+        <div class="legend-labels">
+            <span>${scale.format(scale.min)}</span>
+            <span>${scale.format((scale.min + scale.max) / 2)}</span>
+            <span>${scale.format(scale.max)}</span>
+        </div>
+        <p class="legend-note"><span class="legend-swatch"></span> no data</p>
+    `;
+}
+
+function setColorMode(mode) {
+    colorMode = mode;
+    saveSetting('colorMode', mode);
+    updateMap();
+    scheduleURLUpdate();
+}
+
+// Heatmap and Explorer Squares
+// Coverage modes replace the route lines with a density heatmap of the sampled
+// route points, or with the zoom-14 tiles the routes pass through.
+function getRouteCoverage(route) {
+    let coverage = coverageCache.get(route);
+    if (!coverage) {
+        const samples = sampleRoutePoints(route, COVERAGE_SAMPLE_SPACING);
+        coverage = { samples, tiles: getVisitedTiles(samples, EXPLORER_ZOOM) };
+        coverageCache.set(route, coverage);
+    }
+    return coverage;
+}
+
+// Add a GeoJSON source or replace the data of an existing one
+function setSourceData(sourceId, data) {
+    if (map.getSource(sourceId)) {
+        map.getSource(sourceId).setData(data);
+    } else {
+        map.addSource(sourceId, { type: 'geojson', data });
+    }
+}
+
+function syncCoverageLayers() {
+    const stats = document.getElementById('coverage-stats');
+    const routeList = coverageAllRoutes ? routes : routes.filter(route => selectedRoutes.has(route.id));
+
+    ['coverage-heatmap-layer', 'coverage-squares-layer', 'coverage-squares-outline'].forEach(layerId => {
+        if (map.getLayer(layerId)) {
+            map.setLayoutProperty(layerId, 'visibility', 'none');
+        }
+    });
+    document.getElementById('coverage-options').classList.toggle('hidden', mapMode === 'lines');
+    document.getElementById('color-mode-select').disabled = mapMode !== 'lines';
+    if (mapMode === 'lines') {
+        return;
+    }
+
+    const coverage = routeList.map(getRouteCoverage);
+
+    if (mapMode === 'heatmap') {
+        setSourceData('coverage-heatmap', {
+            type: 'FeatureCollection',
+            features: coverage.map(({ samples }) => ({
+                type: 'Feature',
+                properties: {},
+                geometry: { type: 'MultiPoint', coordinates: samples }
+            }))
+        });
+        if (!map.getLayer('coverage-heatmap-layer')) {
+            map.addLayer({
+                id: 'coverage-heatmap-layer',
+                type: 'heatmap',
+                source: 'coverage-heatmap',
+                paint: {
+                    'heatmap-weight': 1,
+                    'heatmap-intensity': ['interpolate', ['linear'], ['zoom'], 6, 0.2, 16, 1.5],
+                    'heatmap-radius': ['interpolate', ['linear'], ['zoom'], 6, 2, 12, 5, 16, 12],
+                    'heatmap-color': [
+                        'interpolate', ['linear'], ['heatmap-density'],
+                        0, 'rgba(76, 29, 149, 0)',
+                        0.1, '#4c1d95',
+                        0.3, '#c026d3',
+                        0.6, '#f97316',
+                        1, '#fef08a'
+                    ],
+                    'heatmap-opacity': 0.9
+                }
+            });
+        }
+        map.setLayoutProperty('coverage-heatmap-layer', 'visibility', 'visible');
+        stats.textContent = `${routeList.length} route(s), ${formatDistance(routeList.reduce((sum, route) => sum + (route.distance || 0), 0))}`;
+        return;
+    }
+
+    // Explorer squares: tiles are shaded by the number of routes visiting them
+    const visits = new Map();
+    coverage.forEach(({ tiles }) => {
+        tiles.forEach(tile => visits.set(tile, (visits.get(tile) || 0) + 1));
+    });
+    const cluster = findLargestCluster(new Set(visits.keys()));
+
+    setSourceData('coverage-squares', {
+        type: 'FeatureCollection',
+        features: Array.from(visits, ([tile, count]) => {
+            const [x, y] = tile.split('/').map(Number);
+            const [[west, south], [east, north]] = getTileBounds(x, y, EXPLORER_ZOOM);
+            return {
+                type: 'Feature',
+                properties: { count, cluster: cluster.has(tile) },
+                geometry: { type: 'Polygon', coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]] }
+            };
+        })
+    });
+    if (!map.getLayer('coverage-squares-layer')) {
+        map.addLayer({
+            id: 'coverage-squares-layer',
+            type: 'fill',
+            source: 'coverage-squares',
+            paint: {
+                'fill-color': ['case', ['get', 'cluster'], '#8b5cf6', '#3b82f6'],
+                'fill-opacity': ['interpolate', ['linear'], ['get', 'count'], 1, 0.25, 10, 0.55]
+            }
+        });
+        map.addLayer({
+            id: 'coverage-squares-outline',
+            type: 'line',
+            source: 'coverage-squares',
+            paint: {
+                'line-color': ['case', ['get', 'cluster'], '#6d28d9', '#1d4ed8'],
+                'line-width': 1
+            }
+        });
+    }
+    map.setLayoutProperty('coverage-squares-layer', 'visibility', 'visible');
+    map.setLayoutProperty('coverage-squares-outline', 'visibility', 'visible');
+    stats.innerHTML = `
+        ${visits.size} squares visited •
+        <span class="legend-swatch coverage-swatch-cluster"></span> largest cluster ${cluster.size}
+    `;
+}
+
+function setMapMode(mode) {
+    mapMode = mode;
+    saveSetting('mapMode', mode);
+    updateMap(false);
+    scheduleURLUpdate();
+}
+
+function setCoverageAllRoutes(allRoutes) {
+    coverageAllRoutes = allRoutes;
+    saveSetting('coverageAllRoutes', allRoutes);
+    updateMap(false);
+}
+
+// Ride Replay
+// Selected routes with timestamps are played back on a shared clock. In
+// "absolute" mode routes keep their recorded times (group rides stay in sync),
+// in "aligned" mode every route starts at the same moment.
+const REPLAY_SPEEDS = [1, 10, 30, 60, 120, 250, 500];
+
+// Timestamped points of a route, for binary search by time
+function getReplayTrack(route) {
+    if (!replayTrackCache.has(route)) {
+        const indices = [];
+        route.times.forEach((time, index) => {
+            if (time !== null) indices.push(index);
+        });
+        replayTrackCache.set(route, { route, indices, startTime: route.startTime, endTime: route.endTime });
+    }
+    return replayTrackCache.get(route);
+}
+
+// Interpolated position, distance and elevation of a track at a timestamp
+function getReplayPosition(track, time) {
+    const { route, indices } = track;
+    const clamped = Math.min(Math.max(time, track.startTime), track.endTime);
+
+    let low = 0;
+    let high = indices.length - 1;
+    while (high - low > 1) {
+        const mid = Math.floor((low + high) / 2);
+        if (route.times[indices[mid]] <= clamped) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    const a = indices[low];
+    const b = indices[high];
+    const span = route.times[b] - route.times[a];
+    const ratio = span > 0 ? Math.min(Math.max((clamped - route.times[a]) / span, 0), 1) : 0;
+    const lerp = (from, to) => from + (to - from) * ratio;
+    const elevationA = route.elevations[a];
+    const elevationB = route.elevations[b];
+
+    return {
+        coordinates: [
+            lerp(route.coordinates[a][0], route.coordinates[b][0]),
+            lerp(route.coordinates[a][1], route.coordinates[b][1])
+        ],
+        distance: lerp(route.distances[a], route.distances[b]),
+        elevation: elevationA !== null && elevationB !== null ? lerp(elevationA, elevationB) : (elevationA ?? elevationB),
+        elapsed: (clamped - track.startTime) / 1000,
+        finished: time >= track.endTime
+    };
+}
+
+// Timestamp of a track for the current replay clock
+function getReplayTime(track) {
+    return replay.aligned ? track.startTime + replay.clock : replay.startTime + replay.clock;
+}
+
+function getReplayDuration() {
+    if (replay.aligned) {
+        return Math.max(...replay.tracks.map(track => track.endTime - track.startTime));
+    }
+    return replay.endTime - replay.startTime;
+}
+
+function openReplay() {
+    const tracks = routes
+        .filter(route => selectedRoutes.has(route.id) && route.elapsedTime !== undefined)
+        .map(getReplayTrack);
+
+    document.getElementById('replay-panel').classList.remove('hidden');
+
+    if (!replay) {
+        // Align starts by default unless the rides overlap in time (e.g. a group ride)
+        const overlapping = tracks.length > 1 &&
+            Math.max(...tracks.map(track => track.startTime)) < Math.min(...tracks.map(track => track.endTime));
+        replay = { clock: 0, playing: false, speed: 60, aligned: !overlapping, follow: false, frame: null, lastFrame: null };
+        document.getElementById('replay-align').checked = replay.aligned;
+        document.getElementById('replay-speed').value = replay.speed;
+    }
+
+    replay.markers && replay.markers.forEach(marker => marker.remove());
+    replay.tracks = tracks;
+    replay.markers = tracks.map(track => {
+        const element = document.createElement('div');
+        element.className = 'replay-marker';
+        element.style.backgroundColor = track.route.color;
+        return new maplibregl.Marker({ element });
+    });
+    replay.startTime = tracks.length > 0 ? Math.min(...tracks.map(track => track.startTime)) : 0;
+    replay.endTime = tracks.length > 0 ? Math.max(...tracks.map(track => track.endTime)) : 0;
+    replay.clock = Math.min(replay.clock, tracks.length > 0 ? getReplayDuration() : 0);
+
+    if (tracks.length === 0) {
+        pauseReplay();
+    }
+    renderReplay();
+}
+
+function closeReplay() {
+    if (!replay) return;
+    pauseReplay();
+    replay.markers.forEach(marker => marker.remove());
+    replay = null;
+    document.getElementById('replay-panel').classList.add('hidden');
+}
+
+// Re-read the selection while the panel is open. The tracks are only rebuilt
+// when the replayed routes changed; otherwise just the marker colors follow.
+function refreshReplay() {
+    if (!replay) return;
+
+    const replayed = routes.filter(route => selectedRoutes.has(route.id) && route.elapsedTime !== undefined);
+    if (replayed.length === replay.tracks.length && replayed.every((route, index) => replay.tracks[index].route === route)) {
+        replay.markers.forEach((marker, index) => {
+            marker.getElement().style.backgroundColor = replay.tracks[index].route.color;
+        });
+        renderReplay();
+        return;
+    }
+    openReplay();
+}
+
+function playReplay() {
+    if (!replay || replay.tracks.length === 0) return;
+    if (replay.clock >= getReplayDuration()) {
+        replay.clock = 0;
+    }
+    replay.playing = true;
+    replay.lastFrame = null;
+    replay.frame = requestAnimationFrame(stepReplay);
+    renderReplay();
+}
+
+function pauseReplay() {
+    if (!replay) return;
+    replay.playing = false;
+    if (replay.frame) {
+        cancelAnimationFrame(replay.frame);
+        replay.frame = null;
+    }
+    renderReplay();
+}
+
+function toggleReplay() {
+    if (replay && replay.playing) {
+        pauseReplay();
+    } else {
+        playReplay();
+    }
+}
+
+function stepReplay(timestamp) {
+    if (!replay || !replay.playing) return;
+
+    if (replay.lastFrame !== null) {
+        replay.clock += (timestamp - replay.lastFrame) * replay.speed;
+    }
+    replay.lastFrame = timestamp;
+
+    const duration = getReplayDuration();
+    if (replay.clock >= duration) {
+        replay.clock = duration;
+        pauseReplay();
+        return;
+    }
+
+    renderReplay();
+    replay.frame = requestAnimationFrame(stepReplay);
+}
+
+// Move markers, scrubber and live stats to the current clock
+function renderReplay() {
+    if (!replay) return;
+
+    const duration = replay.tracks.length > 0 ? getReplayDuration() : 0;
+    const scrubber = document.getElementById('replay-scrubber');
+    const stats = document.getElementById('replay-stats');
+
+    document.getElementById('replay-play').textContent = replay.playing ? 'Pause' : 'Play';
+    document.getElementById('replay-play').disabled = replay.tracks.length === 0;
+    scrubber.disabled = replay.tracks.length === 0;
+    if (document.activeElement !== scrubber) {
+        scrubber.value = duration > 0 ? Math.round(replay.clock / duration * 1000) : 0;
+    }
+    document.getElementById('replay-clock').textContent = replay.aligned || replay.tracks.length === 0
+        ? `${formatDuration(replay.clock / 1000)} / ${formatDuration(duration / 1000)}`
+        : new Date(replay.startTime + replay.clock).toLocaleTimeString();
+
+    if (replay.tracks.length === 0) {
+        stats.innerHTML = '<p class="stat-note">Select routes with timestamps to replay them.</p>';
+        return;
+    }
+
+    stats.innerHTML = replay.tracks.map((track, index) => {
+        const time = getReplayTime(track);
+        const position = getReplayPosition(track, time);
+        replay.markers[index].setLngLat(position.coordinates).addTo(map);
+
+        if (index === 0 && replay.follow && replay.playing) {
+            map.jumpTo({ center: position.coordinates });
+        }
+
+        const status = time < track.startTime ? 'not started' : position.finished ? 'finished' : '';
+        return `
+            <div class="replay-stat">
+                <span class="route-color" style="background-color: ${track.route.color}; width: 0.75rem; height: 0.75rem; flex-shrink: 0;"></span>
+                <span class="replay-stat-name">${escapeHTML(track.route.name)}</span>
+                <span class="replay-stat-values">
+                    ${formatDuration(position.elapsed)} • ${(position.distance / 1000).toFixed(1)} km${position.elevation !== null ? ` • ${Math.round(position.elevation)}m` : ''}${status ? ` • ${status}` : ''}
+                </span>
+            </div>
+        `;
+    }).join('');
+}
+
+// Route Editing
+// One route at a time is edited from the map: drag the start and end handles
+// to trim, click the line to split it, reverse it or join another selected
+// route onto its end. Edits replace routes in the library with new objects,
+// so undo and redo only need to swap the before and after lists back.
+function openRouteEditor(routeId) {
+    closeRouteEditor();
+    closeRoutePlanner();
+    closeRouteStyle();
+    cancelSegmentPicker();
+    if (!routes.some(route => route.id === routeId)) return;
+
+    if (!selectedRoutes.has(routeId)) {
+        selectedRoutes.add(routeId);
+        persistSelection();
+        updateMap();
+    }
+
+    routeEditor = { routeId, route: null, start: 0, end: 0, splitting: false };
+    routeEditor.handles = ['start', 'end'].map(handle => {
+        const element = document.createElement('div');
+        element.className = `edit-handle edit-handle-${handle}`;
+        element.title = `Drag to trim the ${handle}`;
+        const marker = new maplibregl.Marker({ element, draggable: true });
+        marker.on('drag', () => moveTrimHandle(handle, marker.getLngLat(), false));
+        marker.on('dragend', () => moveTrimHandle(handle, marker.getLngLat(), true));
+        return marker;
+    });
+
+    document.getElementById('edit-panel').classList.remove('hidden');
+    updateUI();
+}
+
+function closeRouteEditor() {
+    if (!routeEditor) return;
+    routeEditor.handles.forEach(marker => marker.remove());
+    routeEditor = null;
+    if (map.getLayer('edit-trim-layer')) {
+        map.removeLayer('edit-trim-layer');
+    }
+    if (map.getSource('edit-trim')) {
+        map.removeSource('edit-trim');
+    }
+    document.getElementById('edit-panel').classList.add('hidden');
+}
+
+// Re-read the edited route after library changes. An edit or undo swaps in a
+// new route object, which resets the trim handles to its ends.
+function refreshRouteEditor() {
+    if (!routeEditor) return;
+
+    const route = routes.find(route => route.id === routeEditor.routeId);
+    if (!route || !selectedRoutes.has(route.id)) {
+        closeRouteEditor();
+        return;
+    }
+
+    if (route !== routeEditor.route) {
+        routeEditor.route = route;
+        routeEditor.start = 0;
+        routeEditor.end = route.coordinates.length - 1;
+        routeEditor.handles[0].setLngLat(route.coordinates[0]).addTo(map);
+        routeEditor.handles[1].setLngLat(route.coordinates[routeEditor.end]).addTo(map);
+        updateTrimPreview();
+    }
+    renderRouteEditor();
+}
+
+// Follow a dragged handle along the line; on release it snaps to the point
+function moveTrimHandle(handle, lngLat, snap) {
+    if (!routeEditor) return;
+
+    const { route } = routeEditor;
+    const index = findNearestPointIndex(route.coordinates, lngLat);
+    if (handle === 'start') {
+        routeEditor.start = Math.min(index, routeEditor.end - 1);
+    } else {
+        routeEditor.end = Math.max(index, routeEditor.start + 1);
+    }
+
+    if (snap) {
+        routeEditor.handles[0].setLngLat(route.coordinates[routeEditor.start]);
+        routeEditor.handles[1].setLngLat(route.coordinates[routeEditor.end]);
+    }
+    updateTrimPreview();
+    renderRouteEditor();
+}
+
+function resetTrim() {
+    if (!routeEditor) return;
+    routeEditor.route = null;
+    refreshRouteEditor();
+}
+
+// Gray out the parts the trim would cut off
+function updateTrimPreview() {
+    const { route, start, end } = routeEditor;
+    const lines = [];
+    if (start > 0) {
+        lines.push(route.coordinates.slice(0, start + 1));
+    }
+    if (end < route.coordinates.length - 1) {
+        lines.push(route.coordinates.slice(end));
+    }
+    const data = { type: 'Feature', properties: {}, geometry: { type: 'MultiLineString', coordinates: lines } };
+
+    if (map.getSource('edit-trim')) {
+        map.getSource('edit-trim').setData(data);
+        return;
+    }
+    map.addSource('edit-trim', { type: 'geojson', data });
+    map.addLayer({
+        id: 'edit-trim-layer',
+        type: 'line',
+        source: 'edit-trim',
+        layout: {
+            'line-join': 'round',
+            'line-cap': 'round'
+        },
+        paint: {
+            'line-color': NO_DATA_COLOR,
+            'line-width': 6,
+            'line-opacity': 0.9
+        }
+    });
+}
+
+function renderRouteEditor() {
+    const { route, start, end, splitting } = routeEditor;
+    const trimmed = start > 0 || end < route.coordinates.length - 1;
+    const joinSelect = document.getElementById('edit-join-select');
+    const joinCandidates = routes.filter(candidate => selectedRoutes.has(candidate.id) && candidate.id !== route.id);
+    const joinValue = joinSelect.value;
+
+    document.getElementById('edit-route-name').textContent = route.name;
+    document.getElementById('edit-summary').textContent = splitting
+        ? 'Click the route where it should be split.'
+        : trimmed
+            ? `Keep ${(route.distances[start] / 1000).toFixed(1)}–${(route.distances[end] / 1000).toFixed(1)} km ` +
+                `(${formatDistance(route.distances[end] - route.distances[start])} of ${formatDistance(route.distance)})`
+            : 'Drag the handles at the ends of the route to trim it.';
+    document.getElementById('edit-trim').disabled = !trimmed;
+    document.getElementById('edit-reset-trim').disabled = !trimmed;
+    document.getElementById('edit-split').classList.toggle('active', splitting);
+    document.getElementById('edit-undo').disabled = undoStack.length === 0;
+    document.getElementById('edit-redo').disabled = redoStack.length === 0;
+
+    joinSelect.innerHTML = joinCandidates.length > 0
+        ? joinCandidates.map(candidate => `<option value="${candidate.id}">${escapeHTML(candidate.name)}</option>`).join('')
+        : '<option value="">Select another route to join</option>';
+    if (joinCandidates.some(candidate => candidate.id === joinValue)) {
+        joinSelect.value = joinValue;
+    }
+    joinSelect.disabled = joinCandidates.length === 0;
+    document.getElementById('edit-join').disabled = joinCandidates.length === 0;
+}
+
+// Edited copies keep the ID, color and list position of the route they replace
+function keepRouteIdentity(edited, original) {
+    edited.id = original.id;
+    edited.color = original.color;
+    edited.order = original.order;
+    edited.tags = original.tags;
+    edited.lineWidth = original.lineWidth;
+    edited.dash = original.dash;
+    return edited;
+}
+
+function trimEditedRoute() {
+    const { route, start, end } = routeEditor;
+    commitEdit([route], [keepRouteIdentity(sliceRoute(route, start, end), route)]);
+}
+
+function reverseEditedRoute() {
+    const { route } = routeEditor;
+    commitEdit([route], [keepRouteIdentity(reverseRoute(route), route)]);
+}
+
+function joinEditedRoute() {
+    const { route } = routeEditor;
+    const other = routes.find(candidate => candidate.id === document.getElementById('edit-join-select').value);
+    if (!other) return;
+    commitEdit([route, other], [keepRouteIdentity(joinRoutes(route, other), route)]);
+}
+
+function toggleSplitMode() {
+    routeEditor.splitting = !routeEditor.splitting;
+    renderRouteEditor();
+}
+
+// Split the edited route into two at the clicked point
+function handleEditMapClick(e) {
+    if (!routeEditor || !routeEditor.splitting) return;
+
+    const { route } = routeEditor;
+    const layerId = `route-layer-${route.id}`;
+    if (!map.getLayer(layerId)) return;
+
+    const features = map.queryRenderedFeatures([
+        [e.point.x - 6, e.point.y - 6],
+        [e.point.x + 6, e.point.y + 6]
+    ], { layers: [layerId] });
+    const index = findNearestPointIndex(route.coordinates, e.lngLat);
+    if (features.length === 0 || index === 0 || index >= route.coordinates.length - 1) return;
+
+    const first = keepRouteIdentity(sliceRoute(route, 0, index, `${route.name} (1)`), route);
+    const second = sliceRoute(route, index, route.coordinates.length - 1, `${route.name} (2)`);
+    second.color = getNextRouteColor();
+    second.tags = route.tags;
+    second.lineWidth = route.lineWidth;
+    second.dash = route.dash;
+    routeEditor.splitting = false;
+    commitEdit([route], [first, second]);
+}
+
+// Undo / Redo
+function commitEdit(before, after) {
+    undoStack.push({ before, after });
+    redoStack = [];
+    replaceRoutes(before, after);
+}
+
+function undoEdit() {
+    const edit = undoStack.pop();
+    if (!edit) return;
+    redoStack.push(edit);
+    replaceRoutes(edit.after, edit.before);
+}
+
+function redoEdit() {
+    const edit = redoStack.pop();
+    if (!edit) return;
+    undoStack.push(edit);
+    replaceRoutes(edit.before, edit.after);
+}
+
+// Swap `removed` routes for `inserted` ones at the list position of the first
+// removed route, then store the changes. Inserted routes are selected.
+function replaceRoutes(removed, inserted) {
+    const position = routes.indexOf(removed[0]);
+    const remaining = routes.filter(route => !removed.includes(route));
+    const insertAt = position === -1
+        ? remaining.length
+        : routes.slice(0, position).filter(route => !removed.includes(route)).length;
+    const insertedIds = new Set(inserted.map(route => route.id));
+
+    routes = [...remaining.slice(0, insertAt), ...inserted, ...remaining.slice(insertAt)];
+
+    removed.forEach(route => {
+        if (!insertedIds.has(route.id)) {
+            selectedRoutes.delete(route.id);
+            deleteStoredRoute(route.id);
+        }
+    });
+    routes.forEach((route, index) => {
+        const moved = route.order !== index;
+        route.order = index;
+        if (insertedIds.has(route.id)) {
+            selectedRoutes.add(route.id);
+            saveRoute(route);
+        } else if (moved) {
+            saveRoute(route);
+        }
+    });
+
+    persistSelection();
+    updateMap(false);
+    updateUI();
+}
+
+// Route Planner
+// Click the map to add points, drag a point to move it and click it to remove
+// it. Legs between the points are straight lines, or follow the roads when a
+// routing endpoint is enabled. Saving adds the plan to the library as a normal
+// route of type 'route'.
+function openRoutePlanner() {
+    closeRoutePlanner();
+    closeRouteEditor();
+    closeRouteStyle();
+    cancelSegmentPicker();
+    routePlanner = { points: [], legs: [], markers: [] };
+    map.getCanvas().style.cursor = 'crosshair';
+    document.getElementById('plan-name').value = '';
+    document.getElementById('plan-panel').classList.remove('hidden');
+    renderRoutePlanner();
+}
+
+function closeRoutePlanner() {
+    if (!routePlanner) return;
+    routePlanner.markers.forEach(marker => marker.remove());
+    routePlanner = null;
+    map.getCanvas().style.cursor = '';
+    if (map.getLayer('plan-line-layer')) {
+        map.removeLayer('plan-line-layer');
+    }
+    if (map.getSource('plan-line')) {
+        map.removeSource('plan-line');
+    }
+    document.getElementById('plan-panel').classList.add('hidden');
+}
+
+function createPlanMarker() {
+    const element = document.createElement('div');
+    element.className = 'plan-point';
+    element.title = 'Drag to move, click to remove';
+    const marker = new maplibregl.Marker({ element, draggable: true });
+    marker.on('drag', () => movePlanPoint(marker, false));
+    marker.on('dragend', () => movePlanPoint(marker, true));
+    element.addEventListener('click', (e) => {
+        // Keep the map from adding a point here; a click also ends every drag
+        e.stopPropagation();
+        if (Date.now() - (marker.draggedAt || 0) > 300) {
+            removePlanPoint(marker);
+        }
+    });
+    return marker;
+}
+
+function handlePlanMapClick(e) {
+    if (!routePlanner) return;
+
+    const point = [e.lngLat.lng, e.lngLat.lat];
+    routePlanner.points.push(point);
+    routePlanner.markers.push(createPlanMarker().setLngLat(point).addTo(map));
+    if (routePlanner.points.length > 1) {
+        routeLeg(routePlanner.points.length - 2);
+    }
+    updatePlanPreview();
+}
+
+// Decoded pixels of a DEM tile, or null when it can't be loaded. Tiles are
+// fetched rather than drawn from an <img> so the canvas is never tainted.
+function loadDEMTile(url) {
+    if (!demTileCache.has(url)) {
+        if (demTileCache.size >= PLAN_DEM_CACHE_SIZE) {
+            demTileCache.delete(demTileCache.keys().next().value);
+        }
+        demTileCache.set(url, fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.blob();
+            })
+            .then(blob => createImageBitmap(blob))
+            .then(image => {
+                const canvas = document.createElement('canvas');
+                canvas.width = image.width;
+                canvas.height = image.height;
+                const context = canvas.getContext('2d', { willReadFrequently: true });
+                context.drawImage(image, 0, 0);
+                return context.getImageData(0, 0, image.width, image.height);
+            })
+            .catch(error => {
+                console.warn(`Could not read the DEM tile ${url}:`, error);
+                return null;
+            }));
+    }
+    return demTileCache.get(url);
+}
+
+// Elevations (m) of [lon, lat] points read from the DEM tiles of the terrain
+// settings, so they don't depend on 3D terrain being on or the point being in
+// view. Points on tiles that fail to load get null.
+async function sampleDEMElevations(coordinates) {
+    const zoom = Math.min(PLAN_DEM_ZOOM, terrainSettings.maxzoom);
+    return Promise.all(coordinates.map(async point => {
+        const [x, y] = getTilePosition(point, zoom);
+        const url = terrainSettings.url
+            .replace('{z}', zoom)
+            .replace('{x}', Math.floor(x))
+            .replace('{y}', Math.floor(y));
+        const tile = await loadDEMTile(url);
+        if (!tile) {
+            return null;
+        }
+        const column = Math.min(tile.width - 1, Math.floor((x - Math.floor(x)) * tile.width));
+        const row = Math.min(tile.height - 1, Math.floor((y - Math.floor(y)) * tile.height));
+        const offset = (row * tile.width + column) * 4;
+        return decodeDEMElevation(tile.data.slice(offset, offset + 3), terrainSettings.encoding);
+    }));
+}
+
+// Straight leg, split every PLAN_ELEVATION_SPACING meters so it can be given
+// elevations from the DEM
+function createStraightLeg(from, to) {
+    const steps = Math.min(PLAN_MAX_ELEVATION_SAMPLES, Math.max(1, Math.ceil(haversineDistance(from, to) / PLAN_ELEVATION_SPACING)));
+    const coordinates = Array.from({ length: steps + 1 }, (_, step) => [
+        from[0] + (to[0] - from[0]) * step / steps,
+        from[1] + (to[1] - from[1]) * step / steps
+    ]);
+    return { coordinates, elevations: coordinates.map(() => null), pending: false, error: null };
+}
+
+// Set leg `index` to a straight line between its points, then replace it with
+// the routed geometry when routing is enabled. Legs without elevations from
+// the routing service get them from the DEM tiles. Responses for legs that
+// were replaced in the meantime are dropped. A failed leg keeps its error
+// until it is replaced.
+async function routeLeg(index) {
+    const from = routePlanner.points[index];
+    const to = routePlanner.points[index + 1];
+    const leg = createStraightLeg(from, to);
+    routePlanner.legs[index] = leg;
+
+    const planner = routePlanner;
+    leg.pending = true;
+    if (routingSettings.enabled) {
+        try {
+            const response = await fetch(buildRoutingURL(routingSettings.url, from, to));
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const routed = readRoutingResponse(await response.json());
+            if (!routed) {
+                throw new Error('no route in the response');
+            }
+            Object.assign(leg, routed);
+        } catch (error) {
+            leg.error = error.message;
+        }
+    }
+    if (leg.elevations.every(elevation => elevation === null)) {
+        leg.elevations = await sampleDEMElevations(leg.coordinates);
+    }
+    leg.pending = false;
+
+    if (routePlanner === planner && planner.legs.includes(leg)) {
+        updatePlanPreview();
+    }
+}
+
+// Legs follow a dragged point as straight lines and are routed on release
+function movePlanPoint(marker, done) {
+    if (!routePlanner) return;
+
+    const index = routePlanner.markers.indexOf(marker);
+    const { lng, lat } = marker.getLngLat();
+    routePlanner.points[index] = [lng, lat];
+    [index - 1, index].filter(leg => leg >= 0 && leg < routePlanner.legs.length).forEach(leg => {
+        if (done) {
+            routeLeg(leg);
+        } else {
+            routePlanner.legs[leg] = createStraightLeg(routePlanner.points[leg], routePlanner.points[leg + 1]);
+        }
+    });
+    if (done) {
+        marker.draggedAt = Date.now();
+    }
+    updatePlanPreview();
+}
+
+// Remove a point; its neighbours are joined by a new leg
+function removePlanPoint(marker) {
+    const index = routePlanner.markers.indexOf(marker);
+    const last = routePlanner.points.length - 1;
+    marker.remove();
+    routePlanner.markers.splice(index, 1);
+    routePlanner.points.splice(index, 1);
+
+    if (index === 0) {
+        routePlanner.legs.shift();
+    } else if (index === last) {
+        routePlanner.legs.pop();
+    } else {
+        routePlanner.legs.splice(index - 1, 2, null);
+        routeLeg(index - 1);
+    }
+    updatePlanPreview();
+}
+
+function removeLastPlanPoint() {
+    if (routePlanner && routePlanner.markers.length > 0) {
+        removePlanPoint(routePlanner.markers[routePlanner.markers.length - 1]);
+    }
+}
+
+function clearRoutePlan() {
+    if (!routePlanner) return;
+    routePlanner.markers.forEach(marker => marker.remove());
+    Object.assign(routePlanner, { points: [], legs: [], markers: [] });
+    updatePlanPreview();
+}
+
+// Re-request every leg after the routing settings changed
+function rerouteRoutePlan() {
+    if (!routePlanner) return;
+    routePlanner.legs.forEach((leg, index) => routeLeg(index));
+    updatePlanPreview();
+}
+
+function setRoutingSettings(settings) {
+    routingSettings = { ...routingSettings, ...settings };
+    saveSetting('routing', routingSettings);
+    rerouteRoutePlan();
+}
+
+function updatePlanPreview() {
+    const { coordinates } = joinLegs(routePlanner.legs);
+    setSourceData('plan-line', {
+        type: 'Feature',
+        properties: {},
+        geometry: { type: 'MultiLineString', coordinates: coordinates.length > 1 ? [coordinates] : [] }
+    });
+    if (!map.getLayer('plan-line-layer')) {
+        map.addLayer({
+            id: 'plan-line-layer',
+            type: 'line',
+            source: 'plan-line',
+            layout: {
+                'line-join': 'round',
+                'line-cap': 'round'
+            },
+            paint: {
+                'line-color': '#2563eb',
+                'line-width': 4,
+                'line-opacity': 0.85
+            }
+        });
+    }
+    renderRoutePlanner();
+}
+
+function renderRoutePlanner() {
+    const { points, legs } = routePlanner;
+    const { coordinates, elevations } = joinLegs(legs);
+    const failedLegs = legs.filter(leg => leg.error);
+    const distances = calculateCumulativeDistances(coordinates);
+    const elevationStats = calculateElevationStats(elevations, distances);
+    const pending = legs.some(leg => leg.pending);
+
+    let summary;
+    if (points.length === 0) {
+        summary = 'Click the map to add the start point.';
+    } else if (points.length === 1) {
+        summary = 'Click the map to add the next point.';
+    } else {
+        summary = `${formatDistance(distances[distances.length - 1])} • ${points.length} points` +
+            (elevationStats
+                ? ` • ↗ ${Math.round(elevationStats.ascent)}m ↘ ${Math.round(elevationStats.descent)}m`
+                : pending ? '' : ' • elevation unavailable (the DEM tiles could not be loaded)') +
+            (pending ? (routingSettings.enabled ? ' • routing…' : ' • loading elevations…') : '');
+    }
+
+    document.getElementById('plan-summary').textContent = summary;
+    document.getElementById('plan-error').textContent = failedLegs.length > 0
+        ? `Routing failed (${[...new Set(failedLegs.map(leg => leg.error))].join('; ')}), ` +
+            (failedLegs.length === 1 ? 'the leg is drawn straight.' : `${failedLegs.length} legs are drawn straight.`)
+        : '';
+    document.getElementById('plan-routing').checked = routingSettings.enabled;
+    document.getElementById('plan-routing-url').value = routingSettings.url;
+    document.getElementById('plan-undo').disabled = points.length === 0;
+    document.getElementById('plan-clear').disabled = points.length === 0;
+    document.getElementById('plan-save').disabled = points.length < 2 || pending;
+}
+
+function savePlannedRoute() {
+    if (!routePlanner || routePlanner.points.length < 2) return;
+
+    const name = document.getElementById('plan-name').value.trim() || `Planned route ${new Date().toLocaleDateString()}`;
+    const route = createPlannedRoute(name, routePlanner.legs);
+    closeRoutePlanner();
+    addRoutes([route]);
+    updateMap(false);
+    updateUI();
+}
+
+// Show labelled markers for the waypoints of the selected routes
+function updateWaypointMarkers() {
+    waypointMarkers.forEach(marker => marker.remove());
+    waypointMarkers = [];
+
+    routes.forEach(route => {
+        if (!selectedRoutes.has(route.id) || !route.waypoints) {
+            return;
+        }
+
+        route.waypoints.forEach(waypoint => {
+            const element = document.createElement('div');
+            element.className = 'waypoint-marker';
+            element.innerHTML = `
+                <span class="waypoint-pin"></span>
+                ${waypoint.name ? `<span class="waypoint-label">${escapeHTML(waypoint.name)}</span>` : ''}
+            `;
+
+            const popup = new maplibregl.Popup({ offset: 12 }).setHTML(`
+                <div class="waypoint-popup">
+                    <h4>${escapeHTML(waypoint.name || 'Waypoint')}</h4>
+                    ${waypoint.desc ? `<p>${escapeHTML(waypoint.desc)}</p>` : ''}
+                    ${waypoint.sym ? `<p class="waypoint-sym">Symbol: ${escapeHTML(waypoint.sym)}</p>` : ''}
+                    ${waypoint.elevation !== null ? `<p class="waypoint-sym">${Math.round(waypoint.elevation)}m</p>` : ''}
+                </div>
+            `);
+
+            const marker = new maplibregl.Marker({ element, anchor: 'left' })
+                .setLngLat(waypoint.coordinates)
+                .setPopup(popup)
+                .addTo(map);
+            waypointMarkers.push(marker);
+        });
+    });
+}
+
+// Update UI
+function updateUI() {
+    // Update route list
+    const routeList = document.getElementById('route-list');
+    const routesCard = document.getElementById('routes-card');
+    
+    if (routes.length > 0) {
+        routesCard.style.display = 'block';
+        routeList.innerHTML = routes.map(route => `
+            <div class="route-item">
+                <div class="route-info">
+                    <button class="route-color route-color-button" style="background-color: ${route.color}" title="Change color and line style" onclick="openRouteStyle('${route.id}')"></button>
+                    <div class="route-details">
+                        ${route.id === renamingRouteId
+                            ? `<input class="route-name-input" id="route-name-input" value="${escapeHTML(route.name)}" data-route-id="${route.id}">`
+                            : `<h4 ondblclick="startRenameRoute('${route.id}')" title="Double-click to rename">${escapeHTML(route.name)}</h4>`}
+                        <p>${formatRouteSummary(route)}</p>
+                        ${route.id === taggingRouteId
+                            ? `<input class="route-name-input" id="route-tags-input" value="${escapeHTML((route.tags || []).join(', '))}" placeholder="Tags, comma separated" data-route-id="${route.id}">`
+                            : renderRouteTags(route)}
+                    </div>
+                </div>
+                <div class="route-actions">
+                    <button class="btn-icon" title="Edit route (trim, split, reverse, join)" onclick="openRouteEditor('${route.id}')">
+                        <svg class="icon-sm" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M14.121 14.121L19 19m-7-7l7-7m-7 7l-2.879 2.879M12 12L9.121 9.121m0 5.758a3 3 0 10-4.243 4.243 3 3 0 004.243-4.243zm0-5.758a3 3 0 10-4.243-4.243 3 3 0 004.243 4.243z" />
+                        </svg>
+                    </button>
+                    <button class="btn-icon" title="Rename route" onclick="startRenameRoute('${route.id}')">
+                        <svg class="icon-sm" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
+                        </svg>
+                    </button>
+                    <button class="btn-icon" title="Edit tags" onclick="startTagEdit('${route.id}')">
+                        <svg class="icon-sm" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+                        </svg>
+                    </button>
+                    <details class="export-menu">
+                        <summary class="btn-icon" title="Export route">
+                            <svg class="icon-sm" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                            </svg>
+                        </summary>
+                        <div class="export-menu-items">
+                            ${route.type === 'route' ? `
+                                <button onclick="exportRoutes(['${route.id}'], 'gpx')">GPX route (rte)</button>
+                                <button onclick="exportRoutes(['${route.id}'], 'gpx-track')">GPX track (trk)</button>
+                            ` : `<button onclick="exportRoutes(['${route.id}'], 'gpx')">GPX</button>`}
+                            <button onclick="exportRoutes(['${route.id}'], 'geojson')">GeoJSON</button>
+                        </div>
+                    </details>
+                    <button class="btn-remove" onclick="removeRoute('${route.id}')">
+                        <svg class="icon-sm" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    } else {
+        routesCard.style.display = 'none';
+    }
+
+    // Update analytics - only calculate from selected routes
+    const selectedRoutesList = routes.filter(route => selectedRoutes.has(route.id));
+    const totals = calculateTotals(selectedRoutesList);
+    const totalRoutes = totals.routeCount;
+    document.querySelectorAll('.export-selection-btn').forEach(button => {
+        button.disabled = totalRoutes === 0 || (button.dataset.format === 'merged-gpx' && totalRoutes < 2);
+    });
+
+    document.getElementById('route-count').textContent = routes.length; // Total routes loaded
+    document.getElementById('total-distance').textContent = formatDistance(totals.distance);
+    document.getElementById('total-routes').textContent = totalRoutes; // Selected routes count
+
+    if (totals.maxElevation > 0) {
+        document.getElementById('max-elevation-item').style.display = 'flex';
+        document.getElementById('max-elevation').textContent = `${Math.round(totals.maxElevation)}m`;
+    } else {
+        document.getElementById('max-elevation-item').style.display = 'none';
+    }
+
+    // Climbing stats only make sense when at least one route has elevation data
+    document.querySelectorAll('.elevation-stat').forEach(item => {
+        item.style.display = totals.elevationRouteCount > 0 ? 'flex' : 'none';
+    });
+    if (totals.elevationRouteCount > 0) {
+        document.getElementById('total-ascent').textContent = `${Math.round(totals.ascent)}m`;
+        document.getElementById('total-descent').textContent = `${Math.round(totals.descent)}m`;
+        document.getElementById('min-elevation').textContent = `${Math.round(totals.minElevation)}m`;
+        document.getElementById('avg-gradient').textContent = formatGradient(totals.avgGradient);
+        document.getElementById('max-gradient').textContent = formatGradient(totals.maxGradient);
+    }
+
+    // Time stats - routes without timestamps (e.g. planned routes) are left out
+    const timeCard = document.getElementById('time-card');
+    if (totals.timedRouteCount > 0) {
+        timeCard.style.display = 'block';
+        document.getElementById('moving-time').textContent = formatDuration(totals.movingTime);
+        document.getElementById('elapsed-time').textContent = formatDuration(totals.elapsedTime);
+        document.getElementById('pause-count').textContent = `${totals.pauseCount} (${formatDuration(totals.elapsedTime - totals.movingTime)})`;
+        document.getElementById('avg-speed').textContent = formatSpeed(totals.avgSpeed);
+        document.getElementById('max-speed').textContent = formatSpeed(totals.maxSpeed);
+        document.getElementById('time-start').textContent = formatDateTime(totals.startTime);
+        document.getElementById('time-end').textContent = formatDateTime(totals.endTime);
+        document.getElementById('untimed-routes').textContent = totals.timedRouteCount < totalRoutes
+            ? `${totalRoutes - totals.timedRouteCount} selected route(s) have no timestamps and are not included.`
+            : '';
+    } else {
+        timeCard.style.display = 'none';
+    }
+
+    const statsCard = document.getElementById('stats-card');
+    const emptyAnalyticsCard = document.getElementById('empty-analytics-card');
+    const routeSelectorCard = document.getElementById('route-selector-card');
+
+    if (routes.length > 0) {
+        routeSelectorCard.style.display = 'block';
+        
+        // Show stats only if there are selected routes
+        if (totalRoutes > 0) {
+            statsCard.style.display = 'block';
+            emptyAnalyticsCard.style.display = 'none';
+        } else {
+            statsCard.style.display = 'none';
+            emptyAnalyticsCard.style.display = 'block';
+        }
+        
+        renderRouteSelector();
+    } else {
+        statsCard.style.display = 'none';
         routeSelectorCard.style.display = 'none';
         emptyAnalyticsCard.style.display = 'block';
     }
+
+    renderActivityLog();
+    renderSensorStats(totals.sensors);
+    renderZones(selectedRoutesList);
+    renderClimbs(selectedRoutesList);
+    renderSegments();
+    renderProfile();
+    refreshReplay();
+    refreshRouteEditor();
+    if (styledRouteId) {
+        renderRouteStyle();
+    }
+    updateStorageUsage();
+    scheduleURLUpdate();
+
+    const nameInput = document.getElementById('route-name-input') || document.getElementById('route-tags-input');
+    if (nameInput && document.activeElement !== nameInput) {
+        nameInput.focus();
+        nameInput.select();
+    }
+}
+
+// Route Selector
+// The selector lists the routes matching the search and filters in the chosen
+// order. Bulk selection only touches the routes that are listed.
+function getFilteredRoutes() {
+    const bounds = libraryFilter.inView && map ? map.getBounds().toArray() : null;
+    return sortRoutes(filterRoutes(routes, { ...libraryFilter, bounds }), librarySort);
+}
+
+function renderRouteTags(route) {
+    const tags = route.tags || [];
+    return tags.length === 0 ? '' : `
+        <div class="route-tags">
+            ${tags.map(tag => `<span class="route-tag" data-tag="${escapeHTML(tag)}" title="Show routes tagged ${escapeHTML(tag)}">${escapeHTML(tag)}</span>`).join('')}
+        </div>
+    `;
+}
+
+function renderRouteSelector() {
+    const routeSelectorList = document.getElementById('route-selector-list');
+    const filtered = getFilteredRoutes();
+    const selectedCount = filtered.filter(route => selectedRoutes.has(route.id)).length;
+
+    const tagSelect = document.getElementById('library-tag');
+    const tags = collectTags(routes);
+    if (libraryFilter.tag && !tags.some(({ tag }) => tag === libraryFilter.tag)) {
+        libraryFilter.tag = '';
+    }
+    tagSelect.innerHTML = '<option value="">All tags</option>' +
+        tags.map(({ tag, count }) => `<option value="${escapeHTML(tag)}">${escapeHTML(tag)} (${count})</option>`).join('');
+    tagSelect.value = libraryFilter.tag;
+    tagSelect.disabled = tags.length === 0;
+
+    document.getElementById('library-count').textContent = filtered.length === routes.length
+        ? `${routes.length} routes, ${selectedCount} selected`
+        : `${filtered.length} of ${routes.length} routes shown, ${selectedCount} of them selected`;
+    document.querySelectorAll('.library-bulk-btn').forEach(button => {
+        button.disabled = filtered.length === 0;
+    });
+
+    if (filtered.length === 0) {
+        routeSelectorList.innerHTML = '<p class="stat-note">No routes match the filters.</p>';
+        return;
+    }
+    routeSelectorList.innerHTML = filtered.map(route => {
+        const isSelected = selectedRoutes.has(route.id);
+        // Use HTML entity encoding for route.id to safely store in data attribute
+        const encodedRouteId = route.id.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+        return `
+            <div class="route-selector-item ${isSelected ? 'selected' : ''}" data-route-id="${encodedRouteId}">
+                <div class="route-selector-checkbox">
+                    <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="3" d="M5 13l4 4L19 7" />
+                    </svg>
+                </div>
+                <div class="route-selector-info">
+                    <h4>${escapeHTML(route.name)}</h4>
+                    <p>${formatRouteSummary(route)}</p>
+                    ${renderRouteTags(route)}
+                </div>
+                <div class="route-color" style="background-color: ${route.color}; width: 1rem; height: 1rem; border-radius: 50%; flex-shrink: 0;"></div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Date input value (YYYY-MM-DD) as local midnight in ms; `endOfDay` moves to the next midnight
+function parseDateInput(value, endOfDay = false) {
+    if (!value) return null;
+    const date = new Date(`${value}T00:00`);
+    if (endOfDay) {
+        date.setDate(date.getDate() + 1);
+    }
+    return Number.isNaN(date.getTime()) ? null : date.getTime();
+}
+
+function setLibraryFilter(changes) {
+    Object.assign(libraryFilter, changes);
+    renderRouteSelector();
+}
+
+function resetLibraryFilters() {
+    libraryFilter = { query: '', tag: '', minDistance: null, maxDistance: null, from: null, to: null, inView: false };
+    ['library-search', 'library-min-distance', 'library-max-distance', 'library-from', 'library-to'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('library-in-view').checked = false;
+    renderRouteSelector();
+}
+
+// Select all, none or the inverse of the listed routes
+function bulkSelectRoutes(mode) {
+    getFilteredRoutes().forEach(route => {
+        if (mode === 'all' || (mode === 'invert' && !selectedRoutes.has(route.id))) {
+            selectedRoutes.add(route.id);
+        } else {
+            selectedRoutes.delete(route.id);
+        }
+    });
+    persistSelection();
+
+    // Keep the camera while filtering by the map view
+    updateMap(!libraryFilter.inView);
+    updateUI();
+}
+
+function startTagEdit(routeId) {
+    taggingRouteId = routeId;
+    updateUI();
+}
+
+function finishTagEdit(save) {
+    const input = document.getElementById('route-tags-input');
+    const route = routes.find(route => route.id === taggingRouteId);
+    taggingRouteId = null;
+
+    if (save && input && route) {
+        route.tags = parseTags(input.value);
+        saveRoute(route);
+    }
+    updateUI();
+}
+
+// Sensors
+// Heart rate, cadence, power and temperature recorded by the head unit
+function renderSensorStats(sensorTotals) {
+    const items = [];
+    SENSOR_CHANNELS.forEach(channel => {
+        if (!sensorTotals[channel]) return;
+
+        const { avg, max } = sensorTotals[channel];
+        const { name } = SENSOR_LABELS[channel];
+        items.push(`
+            <div class="stat-item">
+                <span class="stat-label">Avg ${name}</span>
+                <span class="stat-value">${formatSensorValue(channel, avg)}</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-label">Max ${name}</span>
+                <span class="stat-value">${formatSensorValue(channel, max)}</span>
+            </div>
+        `);
+    });
+    document.getElementById('sensor-stats').innerHTML = items.join('');
+}
+
+// Time in heart rate and power zones, summed over the selected routes
+function getZoneTimes(route, channel, limits) {
+    if (!zoneTimeCache.has(route)) {
+        zoneTimeCache.set(route, new Map());
+    }
+    const zoneTimes = zoneTimeCache.get(route);
+    const key = `${channel}:${limits.join(',')}`;
+    if (!zoneTimes.has(key)) {
+        zoneTimes.set(key, calculateZoneTimes(route.sensors[channel], route.times, limits));
+    }
+    return zoneTimes.get(key);
+}
+
+function renderZones(routeList) {
+    const card = document.getElementById('zones-card');
+    const sections = Object.keys(zoneLimits).map(channel => {
+        const recorded = routeList.filter(route => (route.sensorStats || {})[channel] && route.elapsedTime !== undefined);
+        if (recorded.length === 0) return '';
+
+        const limits = zoneLimits[channel];
+        const { name, unit } = SENSOR_LABELS[channel];
+        const zones = new Array(limits.length + 1).fill(0);
+        recorded.forEach(route => {
+            getZoneTimes(route, channel, limits).forEach((seconds, zone) => {
+                zones[zone] += seconds;
+            });
+        });
+        const total = zones.reduce((sum, seconds) => sum + seconds, 0);
+
+        return `
+            <div class="zone-group">
+                <div class="zone-header">
+                    <h4>${name}</h4>
+                    <input type="text" class="zone-limits-input" value="${limits.join(', ')}"
+                        title="Lower limits of zones 2–${limits.length + 1} in ${unit}, comma separated"
+                        onchange="setZoneLimits('${channel}', this.value)">
+                </div>
+                ${zones.map((seconds, zone) => {
+                    const range = zone === 0 ? `< ${limits[0]}` : zone === limits.length ? `≥ ${limits[zone - 1]}` : `${limits[zone - 1]}–${limits[zone]}`;
+                    const share = total > 0 ? seconds / total * 100 : 0;
+                    return `
+                        <div class="zone-row">
+                            <span class="zone-name">Z${zone + 1}</span>
+                            <span class="zone-range">${range} ${unit}</span>
+                            <div class="zone-bar"><div class="zone-bar-fill zone-${Math.round(zone / limits.length * 4)}" style="width: ${share.toFixed(1)}%;"></div></div>
+                            <span class="zone-time">${formatDuration(seconds)}</span>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }).join('');
+
+    card.style.display = sections ? 'block' : 'none';
+    document.getElementById('zone-list').innerHTML = sections;
+}
+
+// Parse comma separated zone limits; an empty or invalid entry restores the defaults
+function setZoneLimits(channel, text) {
+    const limits = text.split(/[\s,;]+/).map(parseFloat).filter(Number.isFinite).sort((a, b) => a - b);
+    zoneLimits[channel] = limits.length > 0 ? [...new Set(limits)] : DEFAULT_ZONE_LIMITS[channel];
+    saveSetting('zoneLimits', zoneLimits);
+    updateUI();
+}
+
+// Activity Log
+// Calendar heatmap of ridden distance per day and weekly/monthly/yearly totals
+// over all routes. Clicking a day or a period selects its routes.
+function renderActivityLog() {
+    const days = summarizeByPeriod(routes, 'day');
+    const hasActivity = days.length > 0;
+
+    document.getElementById('calendar-card').style.display = hasActivity ? 'block' : 'none';
+    document.getElementById('period-card').style.display = hasActivity ? 'block' : 'none';
+    document.getElementById('empty-activity-card').style.display = hasActivity ? 'none' : 'block';
+    if (!hasActivity) return;
+
+    const years = [...new Set(days.map(day => new Date(day.start).getFullYear()))];
+    if (!years.includes(calendarYear)) {
+        calendarYear = years[0];
+    }
+    renderCalendar(days.filter(day => new Date(day.start).getFullYear() === calendarYear), years);
+
+    const periods = summarizeByPeriod(routes, activityPeriod);
+    const maxDistance = Math.max(...periods.map(period => period.distance), 1);
+    document.getElementById('period-list').innerHTML = periods.map(period => `
+        <div class="period-item ${isPeriodSelected(period) ? 'selected' : ''}"
+            onclick="selectActivityPeriod(${period.start}, '${activityPeriod}')" title="Select these routes">
+            <div class="period-header">
+                <h4>${formatPeriod(period.start, activityPeriod)}</h4>
+                <span>${period.routes.length} ${period.routes.length === 1 ? 'ride' : 'rides'}</span>
+            </div>
+            <div class="period-bar"><div class="period-bar-fill" style="width: ${(period.distance / maxDistance * 100).toFixed(1)}%;"></div></div>
+            <p>${formatDistance(period.distance)} • ↑${Math.round(period.ascent)}m • ${formatDuration(period.movingTime)} moving</p>
+        </div>
+    `).join('');
+
+    const undated = routes.filter(route => getRouteDate(route) === undefined).length;
+    document.getElementById('undated-routes').textContent = undated > 0
+        ? `${undated} route(s) have no date and are not included.`
+        : '';
+}
+
+// GitHub-style grid for one year: a column per week (Monday first), cells
+// shaded in four steps relative to the longest day of the year
+function renderCalendar(days, years) {
+    const byStart = new Map(days.map(day => [day.start, day]));
+    const maxDistance = Math.max(...days.map(day => day.distance), 1);
+    const firstDay = getPeriodStart(new Date(calendarYear, 0, 1).getTime(), 'week');
+    const lastDay = new Date(calendarYear, 11, 31).getTime();
+    const cells = [];
+    const months = [];
+    let column = 1;
+
+    for (let date = new Date(firstDay); date.getTime() <= lastDay; date.setDate(date.getDate() + 1)) {
+        const start = date.getTime();
+        if (date.getFullYear() !== calendarYear) {
+            cells.push('<div class="calendar-day outside"></div>');
+        } else {
+            const day = byStart.get(start);
+            if (date.getDate() === 1) {
+                months.push(`<span style="grid-column: ${column};">${date.toLocaleDateString(undefined, { month: 'short' })}</span>`);
+            }
+            cells.push(day
+                ? `<div class="calendar-day level-${Math.ceil(day.distance / maxDistance * 4)} ${isPeriodSelected(day) ? 'selected' : ''}"
+                    title="${formatDate(start)}: ${day.routes.length} ${day.routes.length === 1 ? 'ride' : 'rides'}, ${formatDistance(day.distance)}"
+                    onclick="selectActivityPeriod(${start}, 'day')"></div>`
+                : `<div class="calendar-day" title="${formatDate(start)}"></div>`);
+        }
+        if (date.getDay() === 0) column++;
+    }
+    const columns = `grid-template-columns: repeat(${Math.ceil(cells.length / 7)}, 1fr);`;
+
+    const total = days.reduce((sum, day) => ({
+        rides: sum.rides + day.routes.length,
+        distance: sum.distance + day.distance,
+        ascent: sum.ascent + day.ascent
+    }), { rides: 0, distance: 0, ascent: 0 });
+
+    document.getElementById('calendar-year').textContent = calendarYear;
+    document.querySelectorAll('.calendar-nav .btn-icon').forEach((button, index) => {
+        button.disabled = index === 0 ? calendarYear <= Math.min(...years) : calendarYear >= Math.max(...years);
+    });
+    document.getElementById('calendar-heatmap').innerHTML = `
+        <div class="calendar-months" style="${columns}">${months.join('')}</div>
+        <div class="calendar-grid" style="${columns}">${cells.join('')}</div>
+    `;
+    document.getElementById('calendar-summary').textContent =
+        `${total.rides} ${total.rides === 1 ? 'ride' : 'rides'} on ${days.length} ${days.length === 1 ? 'day' : 'days'} • ${formatDistance(total.distance)} • ↑${Math.round(total.ascent)}m`;
+}
+
+function formatPeriod(start, period) {
+    const date = new Date(start);
+    if (period === 'week') {
+        return `Week of ${formatDate(start)}`;
+    }
+    if (period === 'month') {
+        return date.toLocaleDateString(undefined, { year: 'numeric', month: 'long' });
+    }
+    return String(date.getFullYear());
+}
+
+// A period counts as selected when exactly its routes are selected
+function isPeriodSelected(period) {
+    return period.routes.length === selectedRoutes.size && period.routes.every(route => selectedRoutes.has(route.id));
+}
+
+// Step to the previous or next year that has activity
+function shiftCalendarYear(offset) {
+    const years = [...new Set(summarizeByPeriod(routes, 'year').map(year => new Date(year.start).getFullYear()))].sort((a, b) => a - b);
+    const next = offset < 0 ? years.filter(year => year < calendarYear).pop() : years.find(year => year > calendarYear);
+    if (next !== undefined) {
+        calendarYear = next;
+        renderActivityLog();
+    }
+}
+
+function selectActivityPeriod(start, period) {
+    const group = summarizeByPeriod(routes, period).find(candidate => candidate.start === start);
+    if (!group) return;
+
+    selectedRoutes = new Set(group.routes.map(route => route.id));
+    persistSelection();
+    updateMap();
+    updateUI();
+}
+
+// Climbs
+function getRouteClimbs(route) {
+    if (!climbCache.has(route)) {
+        climbCache.set(route, findClimbs(route));
+    }
+    return climbCache.get(route);
+}
+
+function renderClimbs(routeList) {
+    const card = document.getElementById('climbs-card');
+    const elevationRoutes = routeList.filter(hasElevationData);
+
+    if (elevationRoutes.length === 0) {
+        card.style.display = 'none';
+        if (highlightedClimb) showClimbHighlight(null);
+        return;
+    }
+
+    const items = elevationRoutes.flatMap(route => getRouteClimbs(route).map((climb, index) => ({ route, climb, index })));
+    if (highlightedClimb && !items.some(({ route, index }) => route.id === highlightedClimb.routeId && index === highlightedClimb.index)) {
+        showClimbHighlight(null);
+    }
+
+    card.style.display = 'block';
+    document.getElementById('climb-list').innerHTML = items.length > 0
+        ? items.map(({ route, climb, index }) => `
+            <div class="climb-item ${highlightedClimb && highlightedClimb.routeId === route.id && highlightedClimb.index === index ? 'selected' : ''}"
+                onclick="showClimb('${route.id}', ${index})" title="Show on map">
+                <span class="climb-category">${climb.category}</span>
+                <div class="route-details">
+                    ${elevationRoutes.length > 1 ? `<h4>${escapeHTML(route.name)}</h4>` : ''}
+                    <p>
+                        km ${(climb.startDistance / 1000).toFixed(1)}–${(climb.endDistance / 1000).toFixed(1)} •
+                        ${formatDistance(climb.length)} • +${Math.round(climb.gain)}m •
+                        ${formatGradient(climb.avgGradient)} avg • ${formatGradient(climb.maxGradient)} max
+                    </p>
+                </div>
+            </div>
+        `).join('')
+        : '<p class="stat-note">No categorized climbs in the selected routes.</p>';
+}
+
+// Zoom to a climb and highlight it; clicking the highlighted climb again clears it
+function showClimb(routeId, index) {
+    if (highlightedClimb && highlightedClimb.routeId === routeId && highlightedClimb.index === index) {
+        showClimbHighlight(null);
+        updateUI();
+        return;
+    }
+
+    const route = routes.find(route => route.id === routeId);
+    const climb = getRouteClimbs(route)[index];
+    const coordinates = route.coordinates.slice(climb.startIndex, climb.endIndex + 1);
+    showClimbHighlight({ routeId, index }, coordinates);
+    updateUI();
+    fitToCoordinates(coordinates);
+}
+
+function showClimbHighlight(climb, coordinates = []) {
+    highlightedClimb = climb;
+    highlightedEffort = null;
+    drawHighlight(climb ? coordinates : null);
+}
+
+function fitToCoordinates(coordinates) {
+    // A loop rather than Math.min(...lngs): long recordings have more points
+    // than a function call takes arguments
+    let west = Infinity, south = Infinity, east = -Infinity, north = -Infinity;
+    coordinates.forEach(([lng, lat]) => {
+        west = Math.min(west, lng);
+        east = Math.max(east, lng);
+        south = Math.min(south, lat);
+        north = Math.max(north, lat);
+    });
+    map.fitBounds(new maplibregl.LngLatBounds([west, south], [east, north]), {
+        padding: { top: 100, bottom: 200, left: 100, right: 100 },
+        duration: 1000,
+        maxZoom: 15
+    });
+}
+
+// Draw a highlighted stretch (climb or segment effort) above the route lines,
+// or remove it for null
+function drawHighlight(coordinates) {
+    if (!map || !map.getStyle()) return;
+
+    if (!coordinates) {
+        if (map.getLayer('highlight-layer')) {
+            map.removeLayer('highlight-layer');
+            map.removeSource('highlight');
+        }
+        return;
+    }
+
+    setSourceData('highlight', { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates } });
+    if (!map.getLayer('highlight-layer')) {
+        map.addLayer({
+            id: 'highlight-layer',
+            type: 'line',
+            source: 'highlight',
+            layout: {
+                'line-join': 'round',
+                'line-cap': 'round'
+            },
+            paint: {
+                'line-color': '#facc15',
+                'line-width': 8,
+                'line-opacity': 0.9
+            }
+        });
+    }
+    map.moveLayer('highlight-layer');
+}
+
+// Segments
+function getSegmentEfforts(route, segment) {
+    if (!segmentEffortCache.has(route)) {
+        segmentEffortCache.set(route, new Map());
+    }
+    const efforts = segmentEffortCache.get(route);
+    if (!efforts.has(segment.id)) {
+        efforts.set(segment.id, findSegmentEfforts(route, segment));
+    }
+    return efforts.get(segment.id);
+}
+
+// Segment list with a leaderboard of every effort over all loaded routes,
+// fastest first; efforts without timestamps are listed last
+function renderSegments() {
+    const card = document.getElementById('segments-card');
+    if (routes.length === 0) {
+        card.style.display = 'none';
+        return;
+    }
+    card.style.display = 'block';
+
+    const picker = document.getElementById('segment-picker');
+    picker.classList.toggle('hidden', !segmentPicker);
+    document.getElementById('segment-new-btn').disabled = Boolean(segmentPicker);
+    if (segmentPicker) {
+        document.getElementById('segment-picker-hint').textContent = segmentPicker.routeId
+            ? 'Click the end of the segment on the same route.'
+            : 'Click the start of the segment on a selected route.';
+    }
+
+    document.getElementById('segment-list').innerHTML = segments.length > 0
+        ? segments.map(segment => {
+            const efforts = routes.flatMap(route => getSegmentEfforts(route, segment).map((effort, index) => ({ route, effort, index })));
+            efforts.sort((a, b) => (a.effort.elapsedTime ?? Infinity) - (b.effort.elapsedTime ?? Infinity));
+            return `
+                <div class="segment-item">
+                    <div class="segment-header">
+                        <div class="route-details">
+                            <h4>${escapeHTML(segment.name)}</h4>
+                            <p>${formatDistance(segment.distance)} • ${efforts.length} ${efforts.length === 1 ? 'effort' : 'efforts'}</p>
+                        </div>
+                        <button class="btn-remove" title="Delete segment" onclick="deleteSegment('${segment.id}')">
+                            <svg class="icon-sm" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                        </button>
+                    </div>
+                    <table class="leaderboard">
+                        ${efforts.map(({ route, effort, index }, rank) => `
+                            <tr class="${highlightedEffort && highlightedEffort.segmentId === segment.id && highlightedEffort.routeId === route.id && highlightedEffort.index === index ? 'selected' : ''}"
+                                onclick="showSegmentEffort('${segment.id}', '${route.id}', ${index})" title="Show on map">
+                                <td>${effort.elapsedTime !== null ? rank + 1 : ''}</td>
+                                <td class="leaderboard-name">${escapeHTML(route.name)}</td>
+                                <td>${effort.date !== undefined ? formatDate(effort.date) : ''}</td>
+                                <td>${formatDuration(effort.elapsedTime)}</td>
+                                <td>${formatSpeed(effort.avgSpeed)}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                </div>
+            `;
+        }).join('')
+        : '<p class="stat-note">Pick two points on a route to compare every ride over that stretch.</p>';
+}
+
+function startSegmentPicker() {
+    cancelSegmentPicker();
+    closeRouteEditor();
+    closeRoutePlanner();
+    segmentPicker = { routeId: null, startIndex: null, marker: null };
+    renderSegments();
+}
+
+function cancelSegmentPicker() {
+    if (segmentPicker && segmentPicker.marker) {
+        segmentPicker.marker.remove();
+    }
+    segmentPicker = null;
+    renderSegments();
+}
+
+// First click picks the route and the start, second click on the same route the end
+function handleSegmentMapClick(e) {
+    if (!segmentPicker) return;
+
+    const layers = routes
+        .filter(route => selectedRoutes.has(route.id) && map.getLayer(`route-layer-${route.id}`))
+        .map(route => `route-layer-${route.id}`);
+    const features = layers.length > 0 ? map.queryRenderedFeatures([
+        [e.point.x - 6, e.point.y - 6],
+        [e.point.x + 6, e.point.y + 6]
+    ], { layers }) : [];
+    const routeIds = features.map(feature => feature.layer.id.replace('route-layer-', ''));
+    const routeId = segmentPicker.routeId || routeIds[0];
+    if (!routeIds.includes(routeId)) return;
+
+    const route = routes.find(candidate => candidate.id === routeId);
+    const index = findNearestPointIndex(route.coordinates, e.lngLat);
+
+    if (!segmentPicker.routeId) {
+        const element = document.createElement('div');
+        element.className = 'segment-marker';
+        segmentPicker = {
+            routeId,
+            startIndex: index,
+            marker: new maplibregl.Marker({ element }).setLngLat(route.coordinates[index]).addTo(map)
+        };
+        renderSegments();
+        return;
+    }
+
+    // Segments follow the direction the picked route was ridden in
+    const startIndex = Math.min(segmentPicker.startIndex, index);
+    const endIndex = Math.max(segmentPicker.startIndex, index);
+    if (route.distances[endIndex] - route.distances[startIndex] < SEGMENT_CHECKPOINT_SPACING) return;
+
+    const name = `${route.name}: km ${(route.distances[startIndex] / 1000).toFixed(1)}–${(route.distances[endIndex] / 1000).toFixed(1)}`;
+    segments.push(createSegment(route, startIndex, endIndex, name));
+    saveSetting('segments', segments);
+    cancelSegmentPicker();
+    updateUI();
+}
+
+function deleteSegment(segmentId) {
+    segments = segments.filter(segment => segment.id !== segmentId);
+    if (highlightedEffort && highlightedEffort.segmentId === segmentId) {
+        showClimbHighlight(null);
+    }
+    saveSetting('segments', segments);
+    updateUI();
+}
+
+// Zoom to an effort and highlight it; clicking the highlighted effort again clears it
+function showSegmentEffort(segmentId, routeId, index) {
+    if (highlightedEffort && highlightedEffort.segmentId === segmentId &&
+        highlightedEffort.routeId === routeId && highlightedEffort.index === index) {
+        highlightedEffort = null;
+        drawHighlight(null);
+        updateUI();
+        return;
+    }
+
+    const route = routes.find(route => route.id === routeId);
+    const segment = segments.find(segment => segment.id === segmentId);
+    const effort = getSegmentEfforts(route, segment)[index];
+    const coordinates = route.coordinates.slice(effort.startIndex, effort.endIndex + 1);
+    highlightedClimb = null;
+    highlightedEffort = { segmentId, routeId, index };
+    drawHighlight(coordinates);
+    updateUI();
+    fitToCoordinates(coordinates);
+}
+
+// Elevation Profile
+// The profile shows elevation or one of the sensor channels against distance.
+function hasElevationData(route) {
+    return Array.isArray(route.elevations) && route.elevations.some(ele => ele !== null);
+}
+
+function getProfileValues(route, channel) {
+    return channel === 'elevation' ? route.elevations : (route.sensors || {})[channel];
+}
+
+// Channels with at least one value in a route, elevation first
+function getProfileChannels(route) {
+    return ['elevation', ...SENSOR_CHANNELS].filter(channel => {
+        const values = getProfileValues(route, channel);
+        return Array.isArray(values) && values.some(value => value !== null);
+    });
+}
+
+function formatProfileValue(channel, value) {
+    return channel === 'elevation' ? `${Math.round(value)}m` : formatSensorValue(channel, value);
+}
+
+// Index of the point closest to a cumulative distance (binary search)
+function findIndexAtDistance(distances, distance) {
+    let low = 0;
+    let high = distances.length - 1;
+
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (distances[mid] < distance) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+
+    if (low > 0 && distance - distances[low - 1] < distances[low] - distance) {
+        return low - 1;
+    }
+    return low;
+}
+
+// Index of the route point closest to a map position
+function findNearestPointIndex(coordinates, lngLat) {
+    return findClosestPointIndex(coordinates, [lngLat.lng, lngLat.lat]);
+}
+
+function renderProfile() {
+    const panel = document.getElementById('profile-panel');
+    const chart = document.getElementById('profile-chart');
+    const select = document.getElementById('profile-route-select');
+    const channelSelect = document.getElementById('profile-channel-select');
+    const candidates = routes.filter(route => selectedRoutes.has(route.id) && getProfileChannels(route).length > 0);
+
+    hideProfilePosition();
+
+    if (candidates.length === 0) {
+        panel.classList.add('hidden');
+        chart.innerHTML = '';
+        profileChart = null;
+        return;
+    }
+
+    if (!candidates.some(route => route.id === profileRouteId)) {
+        profileRouteId = candidates[0].id;
+    }
+    const route = candidates.find(route => route.id === profileRouteId);
+
+    // Keep the chosen channel as a preference; routes without it fall back to their first channel
+    const channels = getProfileChannels(route);
+    const channel = channels.includes(profileChannel) ? profileChannel : channels[0];
+    const values = getProfileValues(route, channel);
+    Array.from(channelSelect.options).forEach(option => {
+        option.disabled = !channels.includes(option.value);
+    });
+    channelSelect.value = channel;
+
+    select.innerHTML = candidates.map(candidate => `
+        <option value="${candidate.id}" ${candidate.id === profileRouteId ? 'selected' : ''}>${escapeHTML(candidate.name)}</option>
+    `).join('');
+    panel.classList.remove('hidden');
+
+    // The chart only depends on the route, channel and width; keep it when those are unchanged
+    const width = chart.clientWidth || 600;
+    if (profileChart && profileChart.route === route && profileChart.channel === channel && profileChart.width === width) {
+        return;
+    }
+    const height = 140;
+    const padding = { top: 10, right: 12, bottom: 22, left: 44 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const validValues = values.filter(value => value !== null);
+    const minValue = validValues.reduce((min, value) => Math.min(min, value), Infinity);
+    const maxValue = validValues.reduce((max, value) => Math.max(max, value), -Infinity);
+    const valueRange = Math.max(maxValue - minValue, 1);
+    const totalDistance = route.distance || 1;
+
+    const x = distance => padding.left + (distance / totalDistance) * plotWidth;
+    const y = value => padding.top + (1 - (value - minValue) / valueRange) * plotHeight;
+
+    // Build line and area paths, breaking them where values are missing
+    let linePath = '';
+    let areaPath = '';
+    let runStart = null;
+    let lastX = null;
+    values.forEach((value, index) => {
+        if (value === null) {
+            if (runStart !== null) {
+                areaPath += ` L${lastX},${padding.top + plotHeight} L${runStart},${padding.top + plotHeight} Z`;
+                runStart = null;
+            }
+            return;
+        }
+        const px = x(route.distances[index]).toFixed(1);
+        const py = y(value).toFixed(1);
+        if (runStart === null) {
+            linePath += ` M${px},${py}`;
+            areaPath += ` M${px},${py}`;
+            runStart = px;
+        } else {
+            linePath += ` L${px},${py}`;
+            areaPath += ` L${px},${py}`;
+        }
+        lastX = px;
+    });
+    if (runStart !== null) {
+        areaPath += ` L${lastX},${padding.top + plotHeight} L${runStart},${padding.top + plotHeight} Z`;
+    }
+
+    // Distance ticks every 1, 2, 5, 10, ... km so there are at most ~8 of them
+    const tickSteps = [1000, 2000, 5000, 10000, 20000, 25000, 50000, 100000];
+    const tickStep = tickSteps.find(step => totalDistance / step <= 8) || 200000;
+    const ticks = [];
+    for (let distance = 0; distance <= totalDistance; distance += tickStep) {
+        ticks.push(distance);
+    }
+
+    chart.innerHTML = `
+        <svg class="profile-svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+            <line class="profile-axis" x1="${padding.left}" y1="${padding.top + plotHeight}" x2="${width - padding.right}" y2="${padding.top + plotHeight}" />
+            ${ticks.map(distance => `
+                <text class="profile-label" x="${x(distance)}" y="${height - 6}" text-anchor="middle">${distance / 1000}</text>
+            `).join('')}
+            <text class="profile-label" x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end">${formatProfileValue(channel, maxValue)}</text>
+            <text class="profile-label" x="${padding.left - 6}" y="${padding.top + plotHeight}" text-anchor="end">${formatProfileValue(channel, minValue)}</text>
+            <path class="profile-area" d="${areaPath}" />
+            <path class="profile-line" d="${linePath}" />
+            <g class="profile-cursor" id="profile-cursor" style="display: none;">
+                <line id="profile-cursor-line" y1="${padding.top}" y2="${padding.top + plotHeight}" />
+                <circle id="profile-cursor-dot" r="4" />
+            </g>
+            <rect class="profile-hit-area" x="${padding.left}" y="${padding.top}" width="${plotWidth}" height="${plotHeight}" />
+        </svg>
+        <div class="profile-tooltip" id="profile-tooltip" style="display: none;"></div>
+    `;
+
+    profileChart = { route, channel, values, x, y, padding, plotWidth, totalDistance, width };
+}
+
+// Move the chart cursor and the map marker to a route point
+function showProfilePosition(index) {
+    if (!profileChart) return;
+
+    const { route, channel, values, x, y } = profileChart;
+    const distance = route.distances[index];
+    const value = values[index];
+    const cursor = document.getElementById('profile-cursor');
+    const cursorLine = document.getElementById('profile-cursor-line');
+    const cursorDot = document.getElementById('profile-cursor-dot');
+    const tooltip = document.getElementById('profile-tooltip');
+    const px = x(distance);
+
+    cursor.style.display = '';
+    cursorLine.setAttribute('x1', px);
+    cursorLine.setAttribute('x2', px);
+    if (value !== null) {
+        cursorDot.style.display = '';
+        cursorDot.setAttribute('cx', px);
+        cursorDot.setAttribute('cy', y(value));
+    } else {
+        cursorDot.style.display = 'none';
+    }
+
+    tooltip.style.display = 'block';
+    tooltip.style.left = `${px}px`;
+    const label = channel === 'elevation' ? 'elevation' : SENSOR_LABELS[channel].name.toLowerCase();
+    tooltip.textContent = `${(distance / 1000).toFixed(1)} km • ${value !== null ? formatProfileValue(channel, value) : `no ${label}`}`;
+
+    if (map) {
+        if (!profileMarker) {
+            const element = document.createElement('div');
+            element.className = 'profile-marker';
+            profileMarker = new maplibregl.Marker({ element });
+        }
+        profileMarker.setLngLat(route.coordinates[index]).addTo(map);
+    }
+}
+
+function hideProfilePosition() {
+    const cursor = document.getElementById('profile-cursor');
+    const tooltip = document.getElementById('profile-tooltip');
+    if (cursor) cursor.style.display = 'none';
+    if (tooltip) tooltip.style.display = 'none';
+    if (profileMarker) profileMarker.remove();
+}
+
+// Chart hover -> map marker
+const profileChartElement = document.getElementById('profile-chart');
+
+profileChartElement.addEventListener('mousemove', (e) => {
+    if (!profileChart || !e.target.classList.contains('profile-hit-area')) {
+        return;
+    }
+    const { route, padding, plotWidth, totalDistance } = profileChart;
+    const bounds = profileChartElement.getBoundingClientRect();
+    const ratio = Math.min(Math.max((e.clientX - bounds.left - padding.left) / plotWidth, 0), 1);
+    showProfilePosition(findIndexAtDistance(route.distances, ratio * totalDistance));
+});
+
+profileChartElement.addEventListener('mouseleave', hideProfilePosition);
+
+document.getElementById('profile-route-select').addEventListener('change', (e) => {
+    profileRouteId = e.target.value;
+    renderProfile();
+});
+
+document.getElementById('period-select').addEventListener('change', (e) => {
+    activityPeriod = e.target.value;
+    renderActivityLog();
+});
+
+document.getElementById('profile-channel-select').addEventListener('change', (e) => {
+    profileChannel = e.target.value;
+    renderProfile();
+});
+
+window.addEventListener('resize', renderProfile);
+
+// Map hover -> chart cursor
+function handleProfileMapHover(e) {
+    if (!profileChart) return;
+
+    const layerId = `route-layer-${profileChart.route.id}`;
+    if (!map.getLayer(layerId)) return;
+
+    const features = map.queryRenderedFeatures([
+        [e.point.x - 6, e.point.y - 6],
+        [e.point.x + 6, e.point.y + 6]
+    ], { layers: [layerId] });
+
+    if (features.length > 0) {
+        map.getCanvas().style.cursor = 'crosshair';
+        showProfilePosition(findNearestPointIndex(profileChart.route.coordinates, e.lngLat));
+    } else if (map.getCanvas().style.cursor === 'crosshair') {
+        map.getCanvas().style.cursor = '';
+        hideProfilePosition();
+    }
+}
+
+// Route Library (IndexedDB)
+// Routes are stored whole in the "routes" store; UI state such as the
+// selection lives in the key-value "settings" store.
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('routes')) {
+                    db.createObjectStore('routes', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+// Run a single request against an object store and resolve with its result
+async function runStoreRequest(storeName, mode, createRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = createRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// Persistence failures (private mode, quota) are logged but never block the app
+function persist(action, description) {
+    return action().catch(error => {
+        console.warn(`Could not ${description}:`, error);
+    });
+}
+
+function saveRoute(route) {
+    return persist(() => runStoreRequest('routes', 'readwrite', store => store.put(route)), `save route ${route.id}`);
+}
+
+function deleteStoredRoute(routeId) {
+    return persist(() => runStoreRequest('routes', 'readwrite', store => store.delete(routeId)), `delete route ${routeId}`);
+}
+
+function clearStoredRoutes() {
+    return persist(() => runStoreRequest('routes', 'readwrite', store => store.clear()), 'clear the route library');
+}
+
+function saveSetting(key, value) {
+    return persist(() => runStoreRequest('settings', 'readwrite', store => store.put(value, key)), `save setting ${key}`);
+}
+
+async function loadSetting(key) {
+    try {
+        return await runStoreRequest('settings', 'readonly', store => store.get(key));
+    } catch (error) {
+        console.warn(`Could not load setting ${key}:`, error);
+        return undefined;
+    }
+}
+
+async function loadStoredRoutes() {
+    try {
+        const storedRoutes = await runStoreRequest('routes', 'readonly', store => store.getAll());
+        return storedRoutes.sort((a, b) => a.order - b.order);
+    } catch (error) {
+        console.warn('Could not load the route library:', error);
+        return [];
+    }
+}
+
+function persistSelection() {
+    return saveSetting('selectedRoutes', Array.from(selectedRoutes));
+}
+
+// Add parsed routes to the library: assign color and order, select and store them
+function addRoutes(newRoutes) {
+    let nextOrder = routes.reduce((max, route) => Math.max(max, route.order), -1) + 1;
+
+    newRoutes.forEach(route => {
+        route.order = nextOrder++;
+        route.color = route.color || getNextRouteColor();
+        routes.push(route);
+        // Automatically select new routes
+        selectedRoutes.add(route.id);
+        saveRoute(route);
+    });
+
+    persistSelection();
+}
+
+// Restore the stored library, or load the sample routes on first use, then
+// apply the view from the URL hash on top of it
+async function initLibrary() {
+    const storedRoutes = await loadStoredRoutes();
+    const initialized = await loadSetting('initialized');
+    const urlState = readURLState();
+
+    if (storedRoutes.length === 0 && !initialized) {
+        await loadDefaultGPX();
+        saveSetting('initialized', true);
+    } else {
+        const storedSelection = await loadSetting('selectedRoutes');
+        const storedColorMode = await loadSetting('colorMode');
+        if (storedColorMode) {
+            colorMode = storedColorMode;
+            document.getElementById('color-mode-select').value = colorMode;
+        }
+        const storedMapMode = await loadSetting('mapMode');
+        if (storedMapMode) {
+            mapMode = storedMapMode;
+            document.getElementById('map-mode-select').value = mapMode;
+        }
+        coverageAllRoutes = Boolean(await loadSetting('coverageAllRoutes'));
+        document.getElementById('coverage-all-routes').checked = coverageAllRoutes;
+        segments = (await loadSetting('segments')) || [];
+        const storedZoneLimits = await loadSetting('zoneLimits');
+        if (storedZoneLimits) {
+            zoneLimits = { ...DEFAULT_ZONE_LIMITS, ...storedZoneLimits };
+        }
+        routingSettings = { ...routingSettings, ...(await loadSetting('routing')) };
+        librarySort = (await loadSetting('librarySort')) || librarySort;
+        document.getElementById('library-sort').value = librarySort;
+        customBasemaps = (await loadSetting('customBasemaps')) || [];
+        terrainSettings = { ...DEFAULT_TERRAIN, ...(await loadSetting('terrain')) };
+        const storedBasemap = await loadSetting('basemap');
+        if (storedBasemap && storedBasemap !== basemapId) {
+            setBasemap(storedBasemap);
+        }
+        syncTerrainLayers();
+        routes = storedRoutes;
+        selectedRoutes = new Set((storedSelection || []).filter(id => routes.some(route => route.id === id)));
+    }
+
+    applyURLState(urlState);
+    urlStateReady = true;
+
+    updateUI();
+    updateMap(false);
+    if (!urlState.camera) {
+        setTimeout(() => fitToSelectedRoutes(1500), 0);
+    }
+}
+
+function startRenameRoute(routeId) {
+    renamingRouteId = routeId;
+    updateUI();
+}
+
+function finishRenameRoute(save) {
+    const input = document.getElementById('route-name-input');
+    const route = routes.find(route => route.id === renamingRouteId);
+    renamingRouteId = null;
+
+    if (save && input && route && input.value.trim()) {
+        route.name = input.value.trim();
+        saveRoute(route);
+    }
+    updateUI();
+}
+
+// Remove every route from the library
+function clearAllRoutes() {
+    if (!confirm(`Remove all ${routes.length} routes from the library?`)) {
+        return;
+    }
+    routes = [];
+    selectedRoutes.clear();
+    undoStack = [];
+    redoStack = [];
+    clearStoredRoutes();
+    persistSelection();
+    updateMap();
+    updateUI();
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+    if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+// Show how much browser storage the library uses
+async function updateStorageUsage() {
+    const usageElement = document.getElementById('storage-usage');
+    if (!navigator.storage || !navigator.storage.estimate) {
+        usageElement.textContent = '';
+        return;
+    }
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        usageElement.textContent = `Storage: ${formatBytes(usage)} of ${formatBytes(quota)} used`;
+    } catch (error) {
+        usageElement.textContent = '';
+    }
+}
+
+// Toggle Route Selection
+function toggleRouteSelection(routeId) {
+    if (selectedRoutes.has(routeId)) {
+        selectedRoutes.delete(routeId);
+    } else {
+        selectedRoutes.add(routeId);
+    }
+    persistSelection();
+    
+    updateMap();
+    updateUI();
+}
+
+// Import worker, created on first use. Workers cannot start from file:// pages
+// in some browsers; parsing then falls back to the main thread.
+function getImportWorker() {
+    if (importWorker === null) {
+        try {
+            importWorker = new Worker('import-worker.js');
+        } catch (error) {
+            console.warn('Import worker unavailable, parsing on the main thread:', error);
+            importWorker = false;
+        }
+    }
+    return importWorker || null;
+}
+
+// Parse files on the main thread, yielding between files so progress can render
+async function parseFilesOnMainThread(files, onFile, startIndex = 0) {
+    for (let index = startIndex; index < files.length; index++) {
+        const file = files[index];
+        const message = { type: 'file', index, total: files.length, fileName: file.name, routes: null, error: null };
+        try {
+            message.routes = importRoutes(file.buffer, file.name);
+            message.glitches = message.routes ? message.routes.map(findGlitches) : null;
+        } catch (error) {
+            message.error = error.message;
+        }
+        onFile(message);
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
+
+// Parse [{ name, buffer }] files in the import worker, calling onFile with each
+// result as it arrives. Batches are queued so results never interleave.
+function parseFiles(files, onFile) {
+    const run = () => new Promise(resolve => {
+        const worker = getImportWorker();
+        if (!worker) {
+            parseFilesOnMainThread(files, onFile).then(resolve);
+            return;
+        }
+
+        let received = 0;
+        worker.onmessage = (event) => {
+            if (event.data.type === 'file') {
+                received++;
+                onFile(event.data);
+            } else if (event.data.type === 'done') {
+                resolve();
+            }
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            console.warn('Import worker failed, parsing on the main thread:', event.message);
+            worker.terminate();
+            importWorker = false;
+            parseFilesOnMainThread(files, onFile, received).then(resolve);
+        };
+        worker.postMessage({ files });
+    });
+
+    importQueue = importQueue.then(run);
+    return importQueue;
+}
+
+function showImportProgress(done, total) {
+    const progress = document.getElementById('import-progress');
+    progress.classList.toggle('hidden', done >= total);
+    document.getElementById('import-progress-fill').style.width = `${total > 0 ? done / total * 100 : 0}%`;
+    document.getElementById('import-progress-text').textContent = `Importing ${done} of ${total} files...`;
+}
+
+// Track Cleaning Review
+function describeGlitches(glitches) {
+    const descriptions = [];
+    if (glitches.duplicates.length > 0) {
+        descriptions.push(`${glitches.duplicates.length} duplicate point(s)`);
+    }
+    if (glitches.spikes.length > 0) {
+        descriptions.push(`${glitches.spikes.length} position spike(s)`);
+    }
+    if (glitches.elevations.length > 0) {
+        descriptions.push(`${glitches.elevations.length} elevation dropout(s) or outlier(s)`);
+    }
+    if (glitches.timeReversals.length > 0) {
+        descriptions.push(`${glitches.timeReversals.length} timestamp reversal(s)`);
+    }
+    return descriptions;
+}
+
+function queueCleanup(fileName, route, glitches, cleaned = cleanRoute(route, glitches)) {
+    pendingCleanups.push({ fileName, route, glitches, cleaned });
+}
+
+function renderCleanupReview() {
+    document.getElementById('cleanup-card').style.display = pendingCleanups.length > 0 ? 'block' : 'none';
+    document.getElementById('cleanup-list').innerHTML = pendingCleanups.map(({ fileName, route, glitches, cleaned }) => `
+        <div class="cleanup-item">
+            <div class="route-details">
+                <h4>${escapeHTML(route.name)}</h4>
+                <p>${escapeHTML(fileName)}</p>
+                <ul class="cleanup-findings">
+                    ${describeGlitches(glitches).map(description => `<li>${description}</li>`).join('')}
+                </ul>
+                <p>
+                    Distance ${formatDistance(route.distance)} → ${formatDistance(cleaned.distance)}${route.ascent !== undefined && cleaned.ascent !== undefined
+                        ? ` • ↑${Math.round(route.ascent)}m → ↑${Math.round(cleaned.ascent)}m`
+                        : ''}
+                </p>
+            </div>
+            <div class="cleanup-actions">
+                <button class="btn btn-sm" onclick="resolveCleanup('${route.id}', true)">Apply fixes</button>
+                <button class="btn btn-sm" onclick="resolveCleanup('${route.id}', false)">Keep as is</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Add a reviewed route to the library, cleaned or as imported. A null routeId
+// resolves every pending route the same way.
+function resolveCleanup(routeId, apply) {
+    const resolved = pendingCleanups.filter(entry => routeId === null || entry.route.id === routeId);
+    pendingCleanups = pendingCleanups.filter(entry => !resolved.includes(entry));
+    addRoutes(resolved.map(entry => apply ? entry.cleaned : entry.route));
+    renderCleanupReview();
+    updateMap();
+    updateUI();
+}
+
+// Import Report
+// Every file of the last batch is listed as imported, skipped or failed, so
+// problems never interrupt the import with blocking dialogs.
+function reportImportResult(result) {
+    const entry = { fileName: result.fileName, status: 'imported', reason: '' };
+
+    if (result.error) {
+        console.error(`Error loading ${result.fileName}:`, result.error);
+        return { ...entry, status: 'failed', reason: result.error };
+    }
+    if (!result.routes) {
+        return { ...entry, status: 'skipped', reason: 'Unsupported format' };
+    }
+    if (result.routes.length === 0) {
+        return { ...entry, status: 'skipped', reason: 'No track points' };
+    }
+
+    return {
+        ...entry,
+        routeCount: result.routes.length,
+        pointCount: result.routes.reduce((sum, route) => sum + route.coordinates.length, 0),
+        segmentCount: result.routes.reduce((sum, route) => sum + route.segments.length, 0),
+        reviewCount: result.glitches.filter(glitches => glitches.total > 0).length,
+        duplicates: []
+    };
+}
+
+function renderImportReport() {
+    const card = document.getElementById('import-report-card');
+    if (importReport.length === 0) {
+        card.style.display = 'none';
+        return;
+    }
+
+    const count = status => importReport.filter(entry => entry.status === status).length;
+    card.style.display = 'block';
+    document.getElementById('import-report-summary').textContent =
+        `${count('imported')} imported, ${count('skipped')} skipped, ${count('failed')} failed`;
+    document.getElementById('import-report-list').innerHTML = importReport.map(entry => {
+        const details = entry.status === 'imported'
+            ? `${entry.routeCount} route(s) • ${entry.pointCount.toLocaleString()} points • ${entry.segmentCount} segment(s)` +
+                (entry.reviewCount > 0 ? ` • ${entry.reviewCount} waiting for GPS fix review` : '') +
+                (entry.duplicates.length > 0 ? ` • ${entry.duplicates.length} already in the library` : '')
+            : escapeHTML(entry.reason);
+        return `
+            <div class="import-report-item">
+                <span class="import-status import-status-${entry.status}">${entry.status}</span>
+                <div class="route-details">
+                    <h4>${escapeHTML(entry.fileName)}</h4>
+                    <p>${details}</p>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function dismissImportReport() {
+    importReport = [];
+    renderImportReport();
+}
+
+// Import Pipeline
+// Parse [{ name, buffer }] files and add their routes to the library. Routes
+// with glitches wait in the review card (or are cleaned right away with
+// `cleanGlitches`), duplicates of library routes are skipped, and each file's
+// outcome is added to the import report.
+async function importFiles(fileData, { cleanGlitches = false } = {}) {
+    showImportProgress(0, fileData.length);
+
+    await parseFiles(fileData, (result) => {
+        showImportProgress(result.index + 1, result.total);
+
+        const entry = reportImportResult(result);
+        importReport.push(entry);
+        if (entry.status !== 'imported') {
+            return;
+        }
+
+        // Routes with glitches wait in the review card until the fixes are applied or skipped
+        try {
+            const cleanRoutes = [];
+            const knownRoutes = [...routes, ...pendingCleanups.map(cleanup => cleanup.route)];
+            result.routes.forEach((route, index) => {
+                // The library may hold the cleaned copy of a route with glitches
+                const glitches = result.glitches[index];
+                const cleaned = glitches.total > 0 ? cleanRoute(route, glitches) : null;
+                const duplicate = knownRoutes.find(known => isDuplicateRoute(route, known) || (cleaned && isDuplicateRoute(cleaned, known)));
+                if (duplicate) {
+                    entry.duplicates.push(duplicate.name);
+                } else if (cleaned && !cleanGlitches) {
+                    queueCleanup(result.fileName, route, glitches, cleaned);
+                } else if (cleaned) {
+                    cleanRoutes.push(cleaned);
+                } else {
+                    cleanRoutes.push(route);
+                }
+            });
+            addRoutes(cleanRoutes);
+            if (entry.duplicates.length === result.routes.length) {
+                Object.assign(entry, { status: 'skipped', reason: `Already in the library as "${entry.duplicates.join('", "')}"` });
+            }
+        } catch (error) {
+            console.error(`Error adding routes from ${result.fileName}:`, error);
+            Object.assign(entry, { status: 'failed', reason: error.message });
+        }
+    });
+}
+
+// Handle File Upload
+async function handleFileUpload(files) {
+    const browseText = document.getElementById('browse-text');
+    browseText.textContent = 'Loading...';
+    importReport = [];
+    
+    try {
+        const fileData = [];
+        for (let i = 0; i < files.length; i++) {
+            try {
+                fileData.push({ name: files[i].name, buffer: await files[i].arrayBuffer() });
+            } catch (error) {
+                importReport.push({ fileName: files[i].name, status: 'failed', reason: `Could not read the file: ${error.message}` });
+            }
+        }
+        await importFiles(fileData);
+    } catch (error) {
+        console.error('Error importing files:', error);
+    } finally {
+        showImportProgress(0, 0);
+        browseText.textContent = 'Browse Files';
+        renderImportReport();
+        renderCleanupReview();
+        updateMap();
+        updateUI();
+    }
+}
+
+// Remove Route
+function removeRoute(routeId) {
+    routes = routes.filter(route => route.id !== routeId);
+    selectedRoutes.delete(routeId);
+    // Undoing an edit of a removed route would bring it back
+    undoStack = [];
+    redoStack = [];
+    deleteStoredRoute(routeId);
+    persistSelection();
+    updateMap();
+    updateUI();
 }
 
-// Toggle Route Selection
-function toggleRouteSelection(routeId) {
-    if (selectedRoutes.has(routeId)) {
-        selectedRoutes.delete(routeId);
+// Color By Selector
+document.getElementById('color-mode-select').addEventListener('change', (e) => {
+    setColorMode(e.target.value);
+});
+
+// Map Mode Selector
+document.getElementById('map-mode-select').addEventListener('change', (e) => {
+    setMapMode(e.target.value);
+});
+
+document.getElementById('coverage-all-routes').addEventListener('change', (e) => {
+    setCoverageAllRoutes(e.target.checked);
+});
+
+// Basemap Controls
+document.getElementById('basemap-toggle').addEventListener('click', () => {
+    renderBasemapOptions();
+    document.getElementById('basemap-options').classList.toggle('hidden');
+});
+
+document.getElementById('basemap-select').addEventListener('change', (e) => {
+    setBasemap(e.target.value);
+});
+
+document.getElementById('basemap-remove').addEventListener('click', () => removeBasemap(basemapId));
+document.getElementById('basemap-add').addEventListener('click', addCustomBasemap);
+document.getElementById('basemap-archive-btn').addEventListener('click', () => {
+    document.getElementById('basemap-archive-input').click();
+});
+
+document.getElementById('basemap-archive-input').addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+        openTileArchive(e.target.files[0]);
+    }
+    e.target.value = '';
+});
+
+document.getElementById('terrain-hillshade').addEventListener('change', (e) => {
+    setTerrainOption('hillshade', e.target.checked);
+});
+
+document.getElementById('terrain-3d').addEventListener('change', (e) => {
+    setTerrainOption('terrain', e.target.checked);
+});
+
+document.getElementById('terrain-url').addEventListener('change', (e) => {
+    setTerrainURL(e.target.value.trim());
+});
+
+document.getElementById('terrain-encoding').addEventListener('change', (e) => {
+    setTerrainOption('encoding', e.target.value);
+});
+
+document.getElementById('terrain-maxzoom').addEventListener('change', (e) => {
+    const maxzoom = parseInt(e.target.value, 10);
+    setTerrainOption('maxzoom', Number.isFinite(maxzoom) ? maxzoom : DEFAULT_TERRAIN.maxzoom);
+});
+
+// Replay Controls
+document.getElementById('replay-open').addEventListener('click', () => {
+    if (replay) {
+        closeReplay();
+    } else {
+        openReplay();
+    }
+});
+
+document.getElementById('replay-close').addEventListener('click', closeReplay);
+document.getElementById('replay-play').addEventListener('click', toggleReplay);
+
+document.getElementById('replay-speed').addEventListener('change', (e) => {
+    replay.speed = Number(e.target.value);
+});
+
+document.getElementById('replay-scrubber').addEventListener('input', (e) => {
+    replay.clock = Number(e.target.value) / 1000 * getReplayDuration();
+    renderReplay();
+});
+
+document.getElementById('replay-follow').addEventListener('change', (e) => {
+    replay.follow = e.target.checked;
+});
+
+document.getElementById('replay-align').addEventListener('change', (e) => {
+    replay.aligned = e.target.checked;
+    replay.clock = Math.min(replay.clock, getReplayDuration());
+    renderReplay();
+});
+
+// Route Editor Controls
+document.getElementById('edit-close').addEventListener('click', closeRouteEditor);
+document.getElementById('edit-trim').addEventListener('click', trimEditedRoute);
+document.getElementById('edit-reset-trim').addEventListener('click', resetTrim);
+document.getElementById('edit-split').addEventListener('click', toggleSplitMode);
+document.getElementById('edit-reverse').addEventListener('click', reverseEditedRoute);
+document.getElementById('edit-join').addEventListener('click', joinEditedRoute);
+document.getElementById('edit-undo').addEventListener('click', undoEdit);
+document.getElementById('edit-redo').addEventListener('click', redoEdit);
+
+// Poster Controls
+document.getElementById('poster-close').addEventListener('click', closePosterPanel);
+document.getElementById('poster-export').addEventListener('click', exportPoster);
+
+document.getElementById('poster-preset').addEventListener('change', (e) => {
+    applyPosterPreset(e.target.value);
+});
+
+['poster-width', 'poster-height'].forEach(id => {
+    document.getElementById(id).addEventListener('input', () => {
+        document.getElementById('poster-preset').value = '';
+    });
+});
+
+// Route Selector Controls
+document.getElementById('library-search').addEventListener('input', (e) => {
+    setLibraryFilter({ query: e.target.value });
+});
+
+document.getElementById('library-tag').addEventListener('change', (e) => {
+    setLibraryFilter({ tag: e.target.value });
+});
+
+document.getElementById('library-sort').addEventListener('change', (e) => {
+    librarySort = e.target.value;
+    saveSetting('librarySort', librarySort);
+    renderRouteSelector();
+});
+
+['library-min-distance', 'library-max-distance'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        const readKm = inputId => {
+            const value = parseFloat(document.getElementById(inputId).value);
+            return Number.isFinite(value) ? value * 1000 : null;
+        };
+        setLibraryFilter({ minDistance: readKm('library-min-distance'), maxDistance: readKm('library-max-distance') });
+    });
+});
+
+['library-from', 'library-to'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+        setLibraryFilter({
+            from: parseDateInput(document.getElementById('library-from').value),
+            to: parseDateInput(document.getElementById('library-to').value, true)
+        });
+    });
+});
+
+document.getElementById('library-in-view').addEventListener('change', (e) => {
+    setLibraryFilter({ inView: e.target.checked });
+});
+
+document.getElementById('library-reset').addEventListener('click', resetLibraryFilters);
+
+// Route Style Controls
+document.getElementById('style-close').addEventListener('click', closeRouteStyle);
+
+document.getElementById('style-color').addEventListener('change', (e) => {
+    setRouteStyle({ color: e.target.value });
+});
+
+document.getElementById('style-width').addEventListener('input', (e) => {
+    setRouteStyle({ lineWidth: Number(e.target.value) }, true);
+});
+
+document.getElementById('style-width').addEventListener('change', (e) => {
+    setRouteStyle({ lineWidth: Number(e.target.value) });
+});
+
+document.getElementById('style-dash').addEventListener('change', (e) => {
+    setRouteStyle({ dash: e.target.value });
+});
+
+// Route Planner Controls
+document.getElementById('plan-open').addEventListener('click', () => {
+    if (routePlanner) {
+        closeRoutePlanner();
     } else {
-        selectedRoutes.add(routeId);
+        openRoutePlanner();
     }
-    
-    updateMap();
-    updateUI();
-}
+});
 
-// Handle File Upload
-async function handleFileUpload(files) {
-    const browseText = document.getElementById('browse-text');
-    browseText.textContent = 'Loading...';
-    
-    try {
-        for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            
-            if (!file.name.toLowerCase().endsWith('.gpx')) {
-                alert(`${file.name} is not a GPX file`);
-                continue;
-            }
+document.getElementById('plan-close').addEventListener('click', closeRoutePlanner);
+document.getElementById('plan-undo').addEventListener('click', removeLastPlanPoint);
+document.getElementById('plan-clear').addEventListener('click', clearRoutePlan);
+document.getElementById('plan-save').addEventListener('click', savePlannedRoute);
 
-            const text = await file.text();
-            const parsedRoute = parseGPX(text, file.name);
-            
-            if (parsedRoute) {
-                routes.push(parsedRoute);
-                // Automatically select new routes
-                selectedRoutes.add(parsedRoute.id);
-            }
-        }
+document.getElementById('plan-routing').addEventListener('change', (e) => {
+    setRoutingSettings({ enabled: e.target.checked });
+});
 
-        updateMap();
-        updateUI();
-    } catch (error) {
-        alert('Error loading GPX file. Please check the file format and try again.');
-        console.error(error);
-    } finally {
-        browseText.textContent = 'Browse Files';
+document.getElementById('plan-routing-url').addEventListener('change', (e) => {
+    setRoutingSettings({ url: e.target.value.trim() || DEFAULT_ROUTING_URL });
+});
+
+// Ctrl/Cmd+Z undoes route edits, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes them
+document.addEventListener('keydown', function(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.target.closest('input, select, textarea')) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoEdit();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redoEdit();
     }
-}
+});
 
-// Remove Route
-function removeRoute(routeId) {
-    routes = routes.filter(route => route.id !== routeId);
-    selectedRoutes.delete(routeId);
-    updateMap();
-    updateUI();
+// Tab Switching
+function showTab(tabName) {
+    const trigger = Array.from(document.querySelectorAll('.tab-trigger')).find(t => t.dataset.tab === tabName);
+    if (!trigger) return;
+
+    // Update active tab
+    document.querySelectorAll('.tab-trigger').forEach(t => t.classList.remove('active'));
+    document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
+    
+    trigger.classList.add('active');
+    document.getElementById(`${tabName}-tab`).classList.add('active');
+    scheduleURLUpdate();
 }
 
-// Tab Switching
 document.querySelectorAll('.tab-trigger').forEach(trigger => {
-    trigger.addEventListener('click', () => {
-        const tabName = trigger.dataset.tab;
-        
-        // Update active tab
-        document.querySelectorAll('.tab-trigger').forEach(t => t.classList.remove('active'));
-        document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
-        
-        trigger.classList.add('active');
-        document.getElementById(`${tabName}-tab`).classList.add('active');
-    });
+    trigger.addEventListener('click', () => showTab(trigger.dataset.tab));
+});
+
+// Links pasted into an open page only change the hash
+window.addEventListener('hashchange', () => {
+    if (!urlStateReady) return;
+    const state = readURLState();
+    applyURLState(state);
+    updateUI();
+    updateMap(!state.camera);
 });
 
 // File Input Handlers
@@ -483,6 +3890,9 @@ uploadArea.addEventListener('click', () => {
     fileInput.click();
 });
 
+// Accept every extension an importer knows about
+fileInput.accept = importers.flatMap(importer => importer.extensions).join(',');
+
 fileInput.addEventListener('change', (e) => {
     if (e.target.files && e.target.files.length > 0) {
         handleFileUpload(e.target.files);
@@ -509,18 +3919,21 @@ uploadArea.addEventListener('drop', (e) => {
     }
 });
 
-// Load Default GPX Files
+// Load Default GPX Files (first use only, see initLibrary)
 async function loadDefaultGPX() {
     const defaultFiles = [
         'sample_gpx/2025-06-27_2320624248_Velotour.gpx',
         'sample_gpx/2025-06-27_2320622316_Velotour - Thusis - Samaden.gpx'
     ];
-    
+
     // Set flag to skip fitBounds *inside* updateMap
     isLoadingDefaultRoute = true;
-    
+    importReport = [];
+
     try {
-        // 1. Load all GPX files and select them
+        // 1. Fetch the samples and import them like uploaded files. GPS glitches
+        // are fixed right away, so the samples show on the map without a review.
+        const fileData = [];
         for (const filePath of defaultFiles) {
             try {
                 const response = await fetch(filePath);
@@ -528,90 +3941,21 @@ async function loadDefaultGPX() {
                     console.warn(`Default GPX file not found: ${filePath}, skipping...`);
                     continue;
                 }
-                const gpxContent = await response.text();
-                const fileName = filePath.split('/').pop();
-                const parsedRoute = parseGPX(gpxContent, fileName);
-                
-                if (parsedRoute) {
-                    routes.push(parsedRoute);
-                    // Automatically select all default routes
-                    selectedRoutes.add(parsedRoute.id);
-                    console.log(`Loaded default route: ${parsedRoute.name} (ID: ${parsedRoute.id})`);
-                }
+                fileData.push({ name: filePath.split('/').pop(), buffer: await response.arrayBuffer() });
             } catch (error) {
                 console.error(`Error loading default GPX file ${filePath}:`, error);
             }
         }
-        
+        await importFiles(fileData, { cleanGlitches: true });
+        showImportProgress(0, 0);
+
         // 2. Update the UI (Checkboxes will now be checked)
         updateUI();
-        
+
         // 3. Update the Map (Layers will be drawn)
         // We can call this directly. We know the map is ready.
+        // initLibrary fits the bounds afterwards unless the URL has a camera.
         updateMap();
-        
-        // 4. Manually fit bounds *after* a 'tick' (setTimeout 0)
-        // This yields to the event loop, letting the map
-        // process the updateMap() call before we animate the zoom.
-        setTimeout(() => {
-            if (map && map.loaded() && routes.length > 0) {
-                const allBounds = [];
-                routes.forEach(route => {
-                    if (selectedRoutes.has(route.id) && route.coordinates.length > 0) {
-                        route.coordinates.forEach(coord => {
-                            allBounds.push(coord);
-                        });
-                    }
-                });
-                
-                if (allBounds.length > 0) {
-                    let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
-                    allBounds.forEach(coord => {
-                        const [lng, lat] = coord;
-                        minLng = Math.min(minLng, lng);
-                        minLat = Math.min(minLat, lat);
-                        maxLng = Math.max(maxLng, lng);
-                        maxLat = Math.max(maxLat, lat);
-                    });
-                    
-                    const bounds = new maplibregl.LngLatBounds(
-                        [minLng, minLat],
-                        [maxLng, maxLat]
-                    );
-                    
-                    map.fitBounds(bounds, {
-                        padding: { top: 100, bottom: 100, left: 100, right: 100 },
-                        duration: 1500, // Animate the zoom
-                        maxZoom: 14
-                    });
-                }
-            }
-        }, 0); // A 0ms timeout is all that's needed.
-        
-        // DEBUG: Toggle routes off after 2 seconds to verify they were visible
-        setTimeout(() => {
-            console.log('DEBUG: Toggling routes off after 2 seconds');
-            const routeIds = Array.from(selectedRoutes);
-            routeIds.forEach(routeId => {
-                selectedRoutes.delete(routeId);
-            });
-            updateMap();
-            updateUI();
-            console.log('DEBUG: Routes toggled off. Check if they were visible before this.');
-            
-            // DEBUG: Toggle routes back on after another 2 seconds (4 seconds total)
-            setTimeout(() => {
-                console.log('DEBUG: Toggling routes back ON after 4 seconds total');
-                // Get all route IDs from the routes array
-                routes.forEach(route => {
-                    selectedRoutes.add(route.id);
-                });
-                updateMap();
-                updateUI();
-                console.log('DEBUG: Routes toggled back on.');
-            }, 1000);
-        }, 1000);
-        
     } catch (error) {
         console.error('Error in loadDefaultGPX:', error);
     } finally {
@@ -620,9 +3964,604 @@ async function loadDefaultGPX() {
     }
 }
 
+// Fit the map to the selected routes
+function fitToSelectedRoutes(duration) {
+    if (!map || !map.loaded()) return;
+
+    let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
+    routes.forEach(route => {
+        if (!selectedRoutes.has(route.id)) return;
+        route.coordinates.forEach(([lng, lat]) => {
+            minLng = Math.min(minLng, lng);
+            minLat = Math.min(minLat, lat);
+            maxLng = Math.max(maxLng, lng);
+            maxLat = Math.max(maxLat, lat);
+        });
+    });
+
+    if (minLng === Infinity) return;
+
+    map.fitBounds(new maplibregl.LngLatBounds([minLng, minLat], [maxLng, maxLat]), {
+        padding: { top: 100, bottom: 100, left: 100, right: 100 },
+        duration, // Animate the zoom
+        maxZoom: 14
+    });
+}
+
+// URL State
+// The hash mirrors the view so reloading or sharing the page restores it:
+// map=zoom/lat/lng[/bearing/pitch], tab, color, mode, routes=<selected IDs>. The
+// live URL leaves the IDs out above MAX_URL_ROUTES; share links always list them
+// and add one route=<encoded route> per selected route small enough to embed.
+function readURLState() {
+    const params = new URLSearchParams(location.hash.slice(1));
+    const state = { embedded: params.getAll('route') };
+
+    const camera = (params.get('map') || '').split('/').map(Number);
+    if (camera.length >= 3 && camera.every(Number.isFinite)) {
+        state.camera = { zoom: camera[0], center: [camera[2], camera[1]], bearing: camera[3] || 0, pitch: camera[4] || 0 };
+    }
+    if (params.has('tab')) {
+        state.tab = params.get('tab');
+    }
+    if (params.has('color')) {
+        state.color = params.get('color');
+    }
+    if (params.has('mode')) {
+        state.mode = params.get('mode');
+    }
+    if (params.has('routes')) {
+        state.routes = params.get('routes').split(',').filter(Boolean);
+    }
+    return state;
+}
+
+// Short, stable ID for a route embedded in a link, so opening the link twice
+// selects the route imported the first time instead of adding a copy
+function getLinkedRouteId(encodedRoute) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < encodedRoute.length; i++) {
+        hash = Math.imul(hash ^ encodedRoute.charCodeAt(i), 0x01000193);
+    }
+    return `route-link-${(hash >>> 0).toString(36)}`;
+}
+
+// Apply a state from readURLState on top of the loaded library
+function applyURLState(state) {
+    if (state.tab) {
+        showTab(state.tab);
+    }
+
+    const colorSelect = document.getElementById('color-mode-select');
+    if (state.color && Array.from(colorSelect.options).some(option => option.value === state.color)) {
+        colorMode = state.color;
+        colorSelect.value = colorMode;
+    }
+
+    const modeSelect = document.getElementById('map-mode-select');
+    if (state.mode && Array.from(modeSelect.options).some(option => option.value === state.mode)) {
+        mapMode = state.mode;
+        modeSelect.value = mapMode;
+    }
+
+    if (state.routes || state.embedded.length > 0) {
+        const linkedIds = [];
+        const linkedRoutes = [];
+        state.embedded.forEach(encodedRoute => {
+            const id = getLinkedRouteId(encodedRoute);
+            if (routes.some(route => route.id === id) || linkedRoutes.some(route => route.id === id)) {
+                linkedIds.push(id);
+                return;
+            }
+            try {
+                const route = decodeRouteLink(encodedRoute);
+                route.id = id;
+                linkedRoutes.push(route);
+            } catch (error) {
+                console.warn('Skipping invalid route in link:', error);
+            }
+        });
+
+        selectedRoutes = new Set([...(state.routes || []), ...linkedIds].filter(id => routes.some(route => route.id === id)));
+        if (linkedRoutes.length > 0) {
+            addRoutes(linkedRoutes);
+        }
+        // Store the selection from the URL so the next load shows the same routes
+        persistSelection();
+    }
+
+    if (state.camera && map) {
+        map.jumpTo(state.camera);
+    }
+}
+
+// Hash for the current view; with embedRoutes, small selected routes are
+// included. Returns the hash and the number of selected routes too large to embed.
+function buildURLHash(embedRoutes = false) {
+    const encode = value => encodeURIComponent(value).replace(/%2C/g, ',').replace(/%2F/g, '/');
+    const parts = [];
+    let skipped = 0;
+
+    if (map) {
+        const center = map.getCenter();
+        const camera = [map.getZoom().toFixed(2), center.lat.toFixed(5), center.lng.toFixed(5)];
+        if (map.getBearing() || map.getPitch()) {
+            camera.push(Math.round(map.getBearing()), Math.round(map.getPitch()));
+        }
+        parts.push(`map=${camera.join('/')}`);
+    }
+
+    const activeTab = document.querySelector('.tab-trigger.active');
+    if (activeTab) {
+        parts.push(`tab=${encode(activeTab.dataset.tab)}`);
+    }
+    parts.push(`color=${encode(colorMode)}`);
+    parts.push(`mode=${encode(mapMode)}`);
+
+    const selectedList = routes.filter(route => selectedRoutes.has(route.id));
+    if (embedRoutes || selectedList.length <= MAX_URL_ROUTES) {
+        parts.push(`routes=${encode(selectedList.map(route => route.id).join(','))}`);
+    }
+
+    if (embedRoutes) {
+        selectedList.forEach(route => {
+            const encodedRoute = encodeRouteLink(route, MAX_LINK_POINTS);
+            if (encodedRoute) {
+                parts.push(`route=${encode(encodedRoute)}`);
+            } else {
+                skipped++;
+            }
+        });
+    }
+
+    return { hash: parts.join('&'), skipped };
+}
+
+// Rewrite the hash shortly after the view settles. replaceState keeps the
+// history clean and does not fire hashchange.
+function scheduleURLUpdate() {
+    if (!urlStateReady) return;
+    clearTimeout(urlStateTimer);
+    urlStateTimer = setTimeout(() => {
+        const hash = `#${buildURLHash().hash}`;
+        if (hash !== location.hash) {
+            history.replaceState(null, '', hash);
+        }
+    }, 300);
+}
+
+// Copy a link to the current view with the small selected routes embedded
+async function copyShareLink() {
+    const button = document.getElementById('share-link-btn');
+    const { hash, skipped } = buildURLHash(true);
+    const url = `${location.href.split('#')[0]}#${hash}`;
+
+    try {
+        await navigator.clipboard.writeText(url);
+        button.textContent = skipped > 0 ? `Link copied (${skipped} route(s) too large to embed)` : 'Link copied';
+        setTimeout(() => {
+            button.textContent = 'Copy link';
+        }, 2000);
+    } catch (error) {
+        // Clipboard access needs a secure context; let the user copy by hand
+        prompt('Copy this link:', url);
+    }
+}
+
+// Poster Export
+// The selected routes as an image: the basemap is rendered by an offscreen map
+// at the poster size, routes, profile strip, caption and attribution are drawn
+// on top. The layout is a list of shapes written either to a canvas (PNG) or
+// as SVG elements, so both formats look the same.
+const POSTER_PRESETS = {
+    'a3-portrait': { name: 'A3 poster, portrait (300 dpi)', width: 3508, height: 4961 },
+    'a3-landscape': { name: 'A3 poster, landscape (300 dpi)', width: 4961, height: 3508 },
+    'a4-portrait': { name: 'A4, portrait (300 dpi)', width: 2480, height: 3508 },
+    'square': { name: 'Social square', width: 1080, height: 1080 },
+    'story': { name: 'Story', width: 1080, height: 1920 },
+    'widescreen': { name: 'Widescreen', width: 1920, height: 1080 }
+};
+const POSTER_BASE_WIDTH = 1200; // CSS width the basemap is laid out at; larger posters raise the pixel ratio instead
+const POSTER_MAX_SIZE = 8192; // Larger canvases fail in most browsers
+
+function openPosterPanel() {
+    const selected = routes.filter(route => selectedRoutes.has(route.id));
+    document.getElementById('poster-title').value = selected.length === 1 ? selected[0].name : `${selected.length} routes`;
+    document.getElementById('poster-status').textContent = '';
+    document.getElementById('poster-panel').classList.remove('hidden');
+}
+
+function closePosterPanel() {
+    document.getElementById('poster-panel').classList.add('hidden');
+}
+
+function applyPosterPreset(presetId) {
+    const preset = POSTER_PRESETS[presetId];
+    if (!preset) return;
+    document.getElementById('poster-width').value = preset.width;
+    document.getElementById('poster-height').value = preset.height;
+}
+
+// [[west, south], [east, north]] around the routes
+function getRoutesBounds(routeList) {
+    let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
+    routeList.forEach(route => {
+        route.coordinates.forEach(([lng, lat]) => {
+            minLng = Math.min(minLng, lng);
+            minLat = Math.min(minLat, lat);
+            maxLng = Math.max(maxLng, lng);
+            maxLat = Math.max(maxLat, lat);
+        });
+    });
+    return [[minLng, minLat], [maxLng, maxLat]];
+}
+
+// Poster regions in pixels: map on top, optional profile strip, caption at the bottom
+function getPosterLayout(width, height, withProfile) {
+    const unit = Math.min(width, height);
+    const margin = Math.round(unit * 0.04);
+    const captionHeight = Math.round(unit * 0.13);
+    const profileHeight = withProfile ? Math.round(height * 0.12) : 0;
+    const gap = withProfile ? margin / 2 : 0;
+    const mapBox = {
+        x: margin,
+        y: margin,
+        width: width - 2 * margin,
+        height: height - 2 * margin - captionHeight - profileHeight - gap
+    };
+
+    return {
+        width,
+        height,
+        unit,
+        map: mapBox,
+        profile: { x: margin, y: mapBox.y + mapBox.height + gap, width: mapBox.width, height: profileHeight },
+        caption: { x: margin, y: height - margin - captionHeight, width: mapBox.width, height: captionHeight }
+    };
+}
+
+// Render the basemap (and hillshade) without the app layers into an offscreen
+// map of the given pixel size, wait until every tile is drawn and pass the map
+// to `draw`. The map and its container are removed afterwards, also on errors.
+async function renderPosterBasemap(box, bounds, draw) {
+    const pixelRatio = Math.min(4, Math.max(1, box.width / POSTER_BASE_WIDTH));
+    const container = document.createElement('div');
+    container.style.cssText = `position: fixed; left: -100000px; top: 0; width: ${box.width / pixelRatio}px; height: ${box.height / pixelRatio}px;`;
+    document.body.appendChild(container);
+    let poster = null;
+
+    try {
+        const style = map.getStyle();
+        style.layers = style.layers.filter(layer => layer.id.startsWith('basemap-') || layer.id === 'hillshade-layer');
+        const usedSources = new Set(style.layers.map(layer => layer.source));
+        if (style.terrain) {
+            usedSources.add(style.terrain.source);
+        }
+        style.sources = Object.fromEntries(Object.entries(style.sources).filter(([id]) => usedSources.has(id)));
+
+        poster = new maplibregl.Map({
+            container,
+            style,
+            pixelRatio,
+            bounds,
+            fitBoundsOptions: { padding: Math.round(box.width / pixelRatio * 0.05) },
+            bearing: map.getBearing(),
+            pitch: map.getPitch(),
+            interactive: false,
+            attributionControl: false,
+            preserveDrawingBuffer: true,
+            fadeDuration: 0
+        });
+        await new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => reject(new Error('the map tiles did not load in time')), 60000);
+            poster.once('idle', () => {
+                clearTimeout(timeout);
+                resolve();
+            });
+        });
+        return await draw(poster, pixelRatio);
+    } finally {
+        if (poster) {
+            poster.remove();
+        }
+        container.remove();
+    }
+}
+
+// Plain-text attribution of the sources drawn in the poster
+function getPosterAttribution(poster) {
+    const element = document.createElement('div');
+    const texts = Object.keys(poster.getStyle().sources)
+        .map(id => poster.getSource(id).attribution)
+        .filter(Boolean)
+        .map(html => {
+            element.innerHTML = html;
+            return element.textContent.trim();
+        });
+    return Array.from(new Set(texts)).join(' | ');
+}
+
+// Route lines in poster pixels, dropping points less than a pixel apart
+function getPosterRouteShapes(routeList, project, unit, clip) {
+    const shapes = [];
+    const baseWidth = Math.max(2, unit * 0.004);
+    const lines = routeList.flatMap(route => getSegmentLines(route).map(line => {
+        const points = [];
+        line.forEach(coord => {
+            const [x, y] = project(coord);
+            const last = points[points.length - 1];
+            if (!last || Math.abs(x - last[0]) + Math.abs(y - last[1]) >= 1) {
+                points.push([x, y]);
+            }
+        });
+        // Scaled from the map line width, so thicker routes stay thicker
+        const width = baseWidth * getRouteLineWidth(route) / DEFAULT_LINE_WIDTH;
+        const dash = LINE_DASHES[route.dash];
+        return { points, color: route.color, width, dash: dash && dash.map(length => length * width) };
+    }));
+
+    // White casings under all lines keep crossings readable
+    lines.forEach(({ points, width }) => shapes.push({ type: 'line', points, stroke: '#ffffff', width: width * 2, clip }));
+    lines.forEach(({ points, color, width, dash }) => shapes.push({ type: 'line', points, stroke: color, width, dash, clip }));
+    return shapes;
+}
+
+// Elevation of the routes one after another along a shared distance axis
+function getPosterProfileShapes(routeList, box, unit) {
+    const profileRoutes = routeList.filter(route => route.elevations.some(elevation => elevation !== null));
+    const total = profileRoutes.reduce((sum, route) => sum + route.distance, 0);
+    let min = Infinity;
+    let max = -Infinity;
+    profileRoutes.forEach(route => route.elevations.forEach(elevation => {
+        if (elevation !== null) {
+            min = Math.min(min, elevation);
+            max = Math.max(max, elevation);
+        }
+    }));
+    if (total <= 0 || min === Infinity) {
+        return [];
+    }
+
+    const range = Math.max(max - min, 1);
+    const bottom = box.y + box.height;
+    const shapes = [{ type: 'rect', x: box.x, y: box.y, width: box.width, height: box.height, fill: '#f8fafc' }];
+    let offset = 0;
+
+    profileRoutes.forEach(route => {
+        const points = [];
+        route.elevations.forEach((elevation, index) => {
+            if (elevation === null) return;
+            const x = box.x + (offset + route.distances[index]) / total * box.width;
+            const y = bottom - (elevation - min) / range * box.height * 0.9;
+            const last = points[points.length - 1];
+            if (!last || x - last[0] >= 1) {
+                points.push([x, y]);
+            }
+        });
+        if (points.length > 1) {
+            const area = [...points, [points[points.length - 1][0], bottom], [points[0][0], bottom]];
+            shapes.push({ type: 'polygon', points: area, fill: route.color, opacity: 0.2 });
+            shapes.push({ type: 'line', points, stroke: route.color, width: Math.max(1.5, unit * 0.002) });
+        }
+        offset += route.distance;
+    });
+
+    const labelSize = Math.round(unit * 0.016);
+    shapes.push({ type: 'text', x: box.x + labelSize / 2, y: box.y + labelSize * 1.2, text: `${Math.round(min + range)} m`, size: labelSize, color: '#64748b' });
+    shapes.push({ type: 'text', x: box.x + labelSize / 2, y: bottom - labelSize / 2, text: `${Math.round(min)} m`, size: labelSize, color: '#64748b' });
+    return shapes;
+}
+
+function getPosterCaptionShapes(title, routeList, box, unit) {
+    const totals = calculateTotals(routeList);
+    const dates = routeList.map(getRouteDate).filter(date => date !== undefined);
+    const firstDate = dates.length > 0 ? formatDate(Math.min(...dates)) : null;
+    const lastDate = dates.length > 0 ? formatDate(Math.max(...dates)) : null;
+    const stats = [
+        formatDistance(totals.distance),
+        totals.elevationRouteCount > 0 ? `↗ ${Math.round(totals.ascent)} m` : null,
+        firstDate && firstDate !== lastDate ? `${firstDate} – ${lastDate}` : firstDate
+    ].filter(Boolean).join('   •   ');
+    const titleSize = Math.round(unit * 0.05);
+
+    return [
+        { type: 'text', x: box.x, y: box.y + titleSize * 1.1, text: title, size: titleSize, weight: 700, color: '#0f172a' },
+        { type: 'text', x: box.x, y: box.y + titleSize * 1.1 + titleSize * 0.9, text: stats, size: Math.round(titleSize * 0.55), color: '#475569' }
+    ];
+}
+
+// Attribution in the bottom right corner of the map, on a light backdrop
+function getPosterAttributionShapes(text, box, unit) {
+    if (!text) return [];
+    const size = Math.max(10, Math.round(unit * 0.011));
+    const padding = size / 2;
+    const width = Math.min(box.width, text.length * size * 0.55 + 2 * padding);
+    return [
+        { type: 'rect', x: box.x + box.width - width, y: box.y + box.height - size - 2 * padding, width, height: size + 2 * padding, fill: '#ffffff', opacity: 0.8 },
+        { type: 'text', x: box.x + box.width - padding, y: box.y + box.height - padding * 1.4, text, size, color: '#334155', anchor: 'end' }
+    ];
+}
+
+function drawPosterCanvas(shapes, width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+
+    shapes.forEach(shape => {
+        context.save();
+        context.globalAlpha = shape.opacity ?? 1;
+        if (shape.clip) {
+            context.beginPath();
+            context.rect(shape.clip.x, shape.clip.y, shape.clip.width, shape.clip.height);
+            context.clip();
+        }
+        if (shape.type === 'image') {
+            context.drawImage(shape.source, shape.x, shape.y, shape.width, shape.height);
+        } else if (shape.type === 'rect') {
+            context.fillStyle = shape.fill;
+            context.fillRect(shape.x, shape.y, shape.width, shape.height);
+        } else if (shape.type === 'line' || shape.type === 'polygon') {
+            context.beginPath();
+            shape.points.forEach(([x, y], index) => index === 0 ? context.moveTo(x, y) : context.lineTo(x, y));
+            if (shape.type === 'polygon') {
+                context.closePath();
+                context.fillStyle = shape.fill;
+                context.fill();
+            } else {
+                context.strokeStyle = shape.stroke;
+                context.lineWidth = shape.width;
+                context.lineJoin = 'round';
+                context.lineCap = 'round';
+                context.setLineDash(shape.dash || []);
+                context.stroke();
+            }
+        } else if (shape.type === 'text') {
+            context.font = `${shape.weight || 400} ${shape.size}px system-ui, sans-serif`;
+            context.fillStyle = shape.color;
+            context.textAlign = shape.anchor === 'end' ? 'right' : 'left';
+            context.fillText(shape.text, shape.x, shape.y);
+        }
+        context.restore();
+    });
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+function drawPosterSVG(shapes, width, height) {
+    const round = value => Math.round(value * 10) / 10;
+    const pointList = points => points.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+    const opacity = shape => shape.opacity !== undefined ? ` opacity="${shape.opacity}"` : '';
+    // One <clipPath> per clip rectangle, shared by the shapes it clips
+    const clips = [...new Set(shapes.map(shape => shape.clip).filter(Boolean))];
+    const clipPath = shape => shape.clip ? ` clip-path="url(#clip-${clips.indexOf(shape.clip)})"` : '';
+    const elements = shapes.map(shape => {
+        if (shape.type === 'image') {
+            return `<image x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" href="${shape.source.toDataURL('image/png')}"/>`;
+        }
+        if (shape.type === 'rect') {
+            return `<rect x="${round(shape.x)}" y="${round(shape.y)}" width="${round(shape.width)}" height="${round(shape.height)}" fill="${shape.fill}"${opacity(shape)}/>`;
+        }
+        if (shape.type === 'polygon') {
+            return `<polygon points="${pointList(shape.points)}" fill="${shape.fill}"${opacity(shape)}/>`;
+        }
+        if (shape.type === 'line') {
+            return `<polyline points="${pointList(shape.points)}" fill="none" stroke="${shape.stroke}" stroke-width="${round(shape.width)}"${shape.dash ? ` stroke-dasharray="${shape.dash.map(round).join(' ')}"` : ''} stroke-linejoin="round" stroke-linecap="round"${clipPath(shape)}/>`;
+        }
+        return `<text x="${round(shape.x)}" y="${round(shape.y)}" font-family="system-ui, sans-serif" font-size="${shape.size}" font-weight="${shape.weight || 400}" fill="${shape.color}"${shape.anchor === 'end' ? ' text-anchor="end"' : ''}>${escapeHTML(shape.text)}</text>`;
+    });
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+        ...(clips.length > 0 ? [
+            '<defs>',
+            ...clips.map((clip, index) => `<clipPath id="clip-${index}"><rect x="${round(clip.x)}" y="${round(clip.y)}" width="${round(clip.width)}" height="${round(clip.height)}"/></clipPath>`),
+            '</defs>'
+        ] : []),
+        ...elements,
+        '</svg>',
+        ''
+    ].join('\n');
+}
+
+async function exportPoster() {
+    const status = document.getElementById('poster-status');
+    const routeList = routes.filter(route => selectedRoutes.has(route.id));
+    const width = parseInt(document.getElementById('poster-width').value, 10);
+    const height = parseInt(document.getElementById('poster-height').value, 10);
+    const format = document.getElementById('poster-format').value;
+    const title = document.getElementById('poster-title').value.trim();
+    const withProfile = document.getElementById('poster-profile').checked &&
+        routeList.some(route => route.elevations.some(elevation => elevation !== null));
+
+    if (routeList.length === 0) {
+        status.textContent = 'Select the routes to put on the poster.';
+        return;
+    }
+    if (!(width >= 200 && height >= 200 && width <= POSTER_MAX_SIZE && height <= POSTER_MAX_SIZE)) {
+        status.textContent = `Width and height must be between 200 and ${POSTER_MAX_SIZE} pixels.`;
+        return;
+    }
+
+    const layout = getPosterLayout(width, height, withProfile);
+    const bounds = document.getElementById('poster-fit').checked
+        ? getRoutesBounds(routeList)
+        : map.getBounds().toArray();
+    const button = document.getElementById('poster-export');
+    button.disabled = true;
+    status.textContent = 'Rendering the map…';
+
+    try {
+        await renderPosterBasemap(layout.map, bounds, async (poster, pixelRatio) => {
+            const { x, y } = layout.map;
+            const project = coord => {
+                const point = poster.project(coord);
+                return [x + point.x * pixelRatio, y + point.y * pixelRatio];
+            };
+            // Routes outside the map area are cut off instead of running over the profile and caption
+            const shapes = [
+                { type: 'image', source: poster.getCanvas(), ...layout.map },
+                ...getPosterRouteShapes(routeList, project, layout.unit, layout.map),
+                ...getPosterAttributionShapes(getPosterAttribution(poster), layout.map, layout.unit),
+                ...(withProfile ? getPosterProfileShapes(routeList, layout.profile, layout.unit) : []),
+                ...getPosterCaptionShapes(title, routeList, layout.caption, layout.unit)
+            ];
+
+            const fileName = `${toFileName(title || 'poster')}-${width}x${height}`;
+            if (format === 'svg') {
+                downloadFile(drawPosterSVG(shapes, width, height), `${fileName}.svg`, 'image/svg+xml');
+            } else {
+                downloadFile(await drawPosterCanvas(shapes, width, height), `${fileName}.png`, 'image/png');
+            }
+        });
+        status.textContent = `Saved ${width}×${height} ${format.toUpperCase()}.`;
+    } catch (error) {
+        status.textContent = `Export failed: ${error.message}`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Close open export menus when clicking elsewhere
+document.addEventListener('click', function(e) {
+    document.querySelectorAll('.export-menu[open]').forEach(menu => {
+        if (!menu.contains(e.target) || e.target.closest('.export-menu-items button')) {
+            menu.removeAttribute('open');
+        }
+    });
+});
+
+// Route rename and tag inputs: Enter saves, Escape cancels, leaving the field saves
+document.addEventListener('keydown', function(e) {
+    const finish = { 'route-name-input': finishRenameRoute, 'route-tags-input': finishTagEdit }[e.target.id];
+    if (!finish) return;
+    if (e.key === 'Enter') {
+        finish(true);
+    } else if (e.key === 'Escape') {
+        finish(false);
+    }
+});
+
+document.addEventListener('focusout', function(e) {
+    if (e.target.id === 'route-name-input' && renamingRouteId) {
+        finishRenameRoute(true);
+    } else if (e.target.id === 'route-tags-input' && taggingRouteId) {
+        finishTagEdit(true);
+    }
+});
+
 // Event Delegation for Route Selector
 // Use document-level delegation to handle dynamically created elements
 document.addEventListener('click', function(e) {
+    // Tags filter the route selector instead of toggling the route
+    const tag = e.target.closest('.route-tag');
+    if (tag) {
+        setLibraryFilter({ tag: tag.dataset.tag });
+        return;
+    }
+
     const item = e.target.closest('.route-selector-item');
     if (item) {
         const routeId = item.getAttribute('data-route-id');
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function run(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+}
+
+test('cli.js summarizes every route of a directory as JSON', () => {
+    const result = run(FIXTURES, '--format', 'json');
+
+    assert.equal(result.status, 0);
+    const { routes, totals } = JSON.parse(result.stdout);
+    assert.equal(routes.length, 8);
+    const loop = routes.find(route => route.name === 'Morning Ride – Loop');
+    assert.equal(path.basename(loop.file), 'ride.gpx');
+    assert.equal(loop.date, '2025-06-01');
+    assert.equal(loop.ascentM, 20);
+    assert.ok(totals);
+});
+
+test('cli.js writes CSV with a header and a totals row', () => {
+    const result = run(path.join(FIXTURES, 'ride.gpx'), '--format=csv');
+    const lines = result.stdout.trim().split('\n');
+
+    assert.equal(result.status, 0);
+    assert.match(lines[0], /^file,name,date,distanceKm,/);
+    assert.equal(lines.length, 4);
+    assert.match(lines[3], /^,Total \(2 routes\),/);
+});
+
+test('cli.js exits with 1 when nothing could be read', () => {
+    const result = run(path.join(FIXTURES, 'missing.gpx'));
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /No routes could be read/);
+});
+
+test('cli.js rejects unknown formats', () => {
+    const result = run(FIXTURES, '--format', 'xml');
+
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /Unknown format "xml"/);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoute, findClimbs } = require('../core.js');
+
+// Route heading north from 46.5°N 9.8°E with a point every 100 m and
+// elevations from `profile(meters from the start)`
+function routeWithProfile(length, profile) {
+    const distances = Array.from({ length: length / 100 + 1 }, (_, index) => index * 100);
+    return createRoute({
+        name: 'Climbs',
+        coordinates: distances.map(distance => [9.8, 46.5 + distance / 111195]),
+        elevations: distances.map(profile),
+        times: distances.map(() => null)
+    });
+}
+
+test('findClimbs categorizes climbs by length times gradient', () => {
+    // 1 km gently down, 300 m up at 6%, 1 km down, 850 m up at 7%
+    const route = routeWithProfile(22000, distance => {
+        if (distance <= 1000) return 510 - distance * 0.01;
+        if (distance <= 6000) return 500 + (distance - 1000) * 0.06;
+        if (distance <= 7000) return 800 - (distance - 6000) * 0.3;
+        return 500 + Math.min(distance - 7000, 850 / 0.07) * 0.07;
+    });
+    const climbs = findClimbs(route);
+
+    assert.deepEqual(climbs.map(climb => climb.category), ['Cat 3', 'HC']);
+    assert.equal(climbs[0].startIndex, 10);
+    assert.equal(climbs[0].endIndex, 60);
+    assert.ok(Math.abs(climbs[0].gain - 300) < 1e-6);
+    assert.ok(Math.abs(climbs[0].avgGradient - 6) < 0.01);
+    assert.ok(Math.abs(climbs[1].gain - 850) < 1e-6);
+    assert.ok(Math.abs(climbs[1].maxGradient - 7) < 0.01);
+});
+
+test('findClimbs skips short and shallow climbs', () => {
+    // 50 m of gain scores below Cat 4; 200 m over 10 km is too shallow
+    const short = routeWithProfile(2000, distance => 500 + Math.min(distance, 500) * 0.1);
+    const shallow = routeWithProfile(10000, distance => 500 + distance * 0.02);
+
+    assert.deepEqual(findClimbs(short), []);
+    assert.deepEqual(findClimbs(shallow), []);
+});
+
+test('findClimbs ends a climb at a dip of more than 20 m', () => {
+    const route = routeWithProfile(8000, distance => {
+        if (distance <= 3000) return 500 + distance * 0.08;
+        if (distance <= 3500) return 740 - (distance - 3000) * 0.1;
+        return 690 + (distance - 3500) * 0.08;
+    });
+
+    assert.deepEqual(findClimbs(route).map(climb => [climb.startIndex, climb.endIndex]), [[0, 30], [35, 80]]);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoute, calculateElevationStats } = require('../core.js');
+
+// Route heading north from 46.5°N 9.8°E through [meters north, elevation] points
+function routeWithProfile(profile) {
+    return createRoute({
+        name: 'Profile',
+        coordinates: profile.map(([north]) => [9.8, 46.5 + north / 111195]),
+        elevations: profile.map(([, elevation]) => elevation),
+        times: profile.map(() => null)
+    });
+}
+
+test('ascent and descent ignore changes below the noise threshold', () => {
+    // Jitter of 1-3 m never adds up; the 5 m rise and fall do
+    const route = routeWithProfile([100, 102, 101, 103, 105, 104, 100].map((elevation, index) => [index * 10, elevation]));
+
+    assert.equal(route.ascent, 5);
+    assert.equal(route.descent, 5);
+    assert.equal(route.elevation, 105);
+    assert.equal(route.minElevation, 100);
+});
+
+test('ascent hysteresis accumulates a slow climb', () => {
+    const elevations = Array.from({ length: 21 }, (_, index) => 100 + index);
+    const distances = elevations.map((_, index) => index * 10);
+
+    const stats = calculateElevationStats(elevations, distances);
+    assert.equal(stats.ascent, 20);
+    assert.equal(stats.descent, 0);
+});
+
+test('routes without elevations have no elevation statistics', () => {
+    const route = routeWithProfile([[0, null], [100, null]]);
+
+    assert.equal(route.ascent, undefined);
+    assert.equal(route.elevation, undefined);
+    assert.equal(calculateElevationStats([null, null], [0, 100]), null);
+});
+
+test('gradients are measured over 100 m windows', () => {
+    const route = routeWithProfile([[0, 100], [50, 105], [100, 110], [200, 120], [300, 115]]);
+
+    assert.ok(Math.abs(route.maxGradient - 10) < 0.01);
+    // Only climbing windows count towards the average
+    assert.ok(Math.abs(route.avgGradient - 10) < 0.01);
+    assert.ok(Math.abs(route.climbingDistance - 200) < 0.01);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoute, importRoutes, routesToGPX, routesToGeoJSON, mergeRoutes } = require('../core.js');
+
+const START_TIME = Date.UTC(2025, 5, 1, 6, 0, 0);
+
+// [lon, lat] `north` meters north of 46.5°N 9.8°E
+const at = north => [9.8, 46.5 + north / 111195];
+
+// A recorded ride with two segments, sensors and a waypoint
+function createRide() {
+    return createRoute({
+        name: 'Ride <Albula & back>',
+        coordinates: [at(0), at(100), at(2000), at(2100)],
+        elevations: [1800.5, 1805, 1830, 1828],
+        times: [0, 20, 600, 620].map(seconds => START_TIME + seconds * 1000),
+        segments: [0, 2],
+        sensors: { heartRate: [120, 125, null, 140], power: [180, null, null, 250] },
+        waypoints: [{ coordinates: [9.81, 46.505], elevation: 1850, time: null, name: 'Lake', desc: 'Swim "here"', sym: null }]
+    });
+}
+
+// An untimed planned route
+function createPlan(name, elevations = [null, null]) {
+    return createRoute({ name, coordinates: [at(0), at(500)], elevations, times: [null, null], type: 'route' });
+}
+
+function toArrayBuffer(text) {
+    return new TextEncoder().encode(text).buffer;
+}
+
+// The imported route carries the same points and segments
+function assertSameTrack(actual, expected) {
+    assert.equal(actual.type, expected.type);
+    assert.deepEqual(actual.coordinates, expected.coordinates);
+    assert.deepEqual(actual.elevations, expected.elevations);
+    assert.deepEqual(actual.times, expected.times);
+    assert.deepEqual(actual.segments, expected.segments);
+    assert.equal(actual.distance, expected.distance);
+}
+
+test('routesToGPX imports back unchanged', () => {
+    const ride = createRide();
+    const gpx = routesToGPX([ride], 'Export');
+    const [route] = importRoutes(toArrayBuffer(gpx), 'export.gpx');
+
+    assertSameTrack(route, ride);
+    assert.equal(route.name, ride.name);
+    assert.deepEqual(route.sensors.heartRate, ride.sensors.heartRate);
+    assert.deepEqual(route.sensors.power, ride.sensors.power);
+    assert.deepEqual(route.waypoints.map(waypoint => [waypoint.name, waypoint.desc]), [['Lake', 'Swim "here"']]);
+});
+
+test('routesToGPX writes single-segment planned routes as <rte>', () => {
+    const planned = createPlan('Plan', [100, 120]);
+    const gpx = routesToGPX([planned]);
+
+    assert.match(gpx, /<rte>/);
+    assert.doesNotMatch(gpx, /<trk>/);
+    assertSameTrack(importRoutes(toArrayBuffer(gpx), 'plan.gpx')[0], planned);
+});
+
+test('routesToGeoJSON imports back unchanged', () => {
+    const ride = createRide();
+    const planned = createPlan('Plan');
+    const geojson = JSON.stringify(routesToGeoJSON([ride, planned]));
+    const routes = importRoutes(toArrayBuffer(geojson), 'export.geojson');
+
+    assert.equal(routes.length, 2);
+    assertSameTrack(routes[0], ride);
+    assertSameTrack(routes[1], planned);
+    // Several routes in one file are named after the file
+    assert.deepEqual(routes.map(route => route.name), ['export – Ride <Albula & back>', 'export – Plan']);
+    assert.equal(routes[0].waypoints[0].name, 'Lake');
+    assert.equal(routes[0].waypoints[0].elevation, 1850);
+});
+
+test('mergeRoutes orders timed routes by start time and keeps their segments', () => {
+    const timed = (name, seconds) => createRoute({
+        name,
+        coordinates: [at(0), at(100)],
+        elevations: [null, null],
+        times: [seconds, seconds + 20].map(offset => START_TIME + offset * 1000)
+    });
+    const merged = mergeRoutes([timed('Later', 3600), timed('Earlier', 0)]);
+
+    assert.equal(merged.name, 'Earlier + Later');
+    assert.deepEqual(merged.segments, [0, 2]);
+    assert.equal(merged.startTime, START_TIME);
+});
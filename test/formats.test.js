@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { importRoutes, findImporter, detectTextEncoding, parseTCX, parseKML, parseGeoJSON, parseFIT } = require('../core.js');
+
+const START_TIME = Date.UTC(2025, 5, 1, 6, 0, 0); // First timestamp in the fixtures
+
+function readFixtureText(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+// As the importers receive it
+function readFixture(name) {
+    const buffer = fs.readFileSync(path.join(__dirname, 'fixtures', name));
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+// Minimal FIT file: a definition and data message per record (timestamp,
+// position, altitude, heart rate, cadence, power, temperature), records with
+// `compressed` set use a compressed timestamp header, and an optional course
+// message with a name
+function buildFIT(records, { courseName = null } = {}) {
+    const parts = [];
+    const bytes = values => parts.push(Buffer.from(values));
+    const block = (size, write) => {
+        const buffer = Buffer.alloc(size);
+        write(buffer);
+        parts.push(buffer);
+    };
+    const definition = (header, globalNumber, fields) => {
+        bytes([header, 0, 0, globalNumber & 0xFF, globalNumber >> 8, fields.length]);
+        fields.forEach(field => bytes(field));
+    };
+    const semicircles = degrees => Math.round(degrees / (180 / Math.pow(2, 31)));
+    const altitude = meters => Math.round((meters + 500) * 5);
+
+    // Local 0: full record; local 1: position and altitude only, for compressed headers
+    definition(0x40, 20, [[253, 4, 0x86], [0, 4, 0x85], [1, 4, 0x85], [2, 2, 0x84], [3, 1, 0x02], [4, 1, 0x02], [7, 2, 0x84], [13, 1, 0x01]]);
+    definition(0x41, 20, [[0, 4, 0x85], [1, 4, 0x85], [2, 2, 0x84]]);
+    if (courseName) {
+        definition(0x42, 31, [[5, 16, 0x07]]);
+        bytes([0x02]);
+        block(16, buffer => buffer.write(courseName));
+    }
+
+    records.forEach(record => {
+        const timestamp = Math.round(record.time / 1000) - 631065600;
+        if (record.compressed) {
+            bytes([0x80 | (1 << 5) | (timestamp & 0x1F)]);
+            block(10, buffer => {
+                buffer.writeInt32LE(semicircles(record.lat), 0);
+                buffer.writeInt32LE(semicircles(record.lon), 4);
+                buffer.writeUInt16LE(altitude(record.elevation), 8);
+            });
+            return;
+        }
+        bytes([0x00]);
+        block(19, buffer => {
+            buffer.writeUInt32LE(timestamp, 0);
+            buffer.writeInt32LE(semicircles(record.lat), 4);
+            buffer.writeInt32LE(semicircles(record.lon), 8);
+            buffer.writeUInt16LE(altitude(record.elevation), 12);
+            buffer[14] = record.heartRate ?? 0xFF;
+            buffer[15] = record.cadence ?? 0xFF;
+            buffer.writeUInt16LE(record.power ?? 0xFFFF, 16);
+            buffer.writeInt8(record.temperature ?? 0x7F, 18);
+        });
+    });
+
+    const data = Buffer.concat(parts);
+    const header = Buffer.alloc(14);
+    header[0] = 14;
+    header[1] = 0x20;
+    header.writeUInt16LE(2100, 2);
+    header.writeUInt32LE(data.length, 4);
+    header.write('.FIT', 8);
+    const file = Buffer.concat([header, data, Buffer.alloc(2)]);
+    return file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+}
+
+test('parseTCX reads activities with sensors and courses with course points', () => {
+    const routes = parseTCX(readFixtureText('ride.tcx'), 'ride.tcx');
+
+    assert.equal(routes.length, 2);
+    const [activity, course] = routes;
+    assert.equal(activity.name, 'ride (1)');
+    assert.equal(activity.type, 'track');
+    // The trackpoint without a position is skipped
+    assert.equal(activity.coordinates.length, 2);
+    assert.equal(activity.elapsedTime, 20);
+    assert.deepEqual(activity.sensors.heartRate, [120, 125]);
+    assert.deepEqual(activity.sensors.cadence, [85, null]);
+    assert.deepEqual(activity.sensors.power, [210, null]);
+
+    assert.equal(course.name, 'ride – Pass climb');
+    assert.equal(course.type, 'route');
+    assert.equal(course.ascent, 100);
+    assert.equal(course.waypoints.length, 1);
+    assert.equal(course.waypoints[0].name, 'Summit');
+    assert.deepEqual(course.waypoints[0].coordinates, [9.8, 46.51]);
+});
+
+test('parseKML reads gx:Track and LineString placemarks and Point waypoints', () => {
+    const routes = parseKML(readFixtureText('ride.kml'), 'ride.kml');
+
+    assert.equal(routes.length, 2);
+    const [recorded, planned] = routes;
+    assert.equal(recorded.name, 'Engadin – Recorded');
+    assert.equal(recorded.type, 'track');
+    assert.deepEqual(recorded.times, [START_TIME, START_TIME + 20000]);
+    assert.deepEqual(recorded.elevations, [1800, 1810]);
+
+    assert.equal(planned.name, 'Engadin – Planned');
+    assert.equal(planned.type, 'route');
+    assert.deepEqual(planned.segments, [0, 2]);
+    assert.deepEqual(planned.coordinates[3], [9.8, 46.511]);
+    assert.deepEqual(planned.elevations, [1800, 1810, null, null]);
+
+    assert.deepEqual(recorded.waypoints.map(waypoint => [waypoint.name, waypoint.desc, waypoint.elevation]), [['Viewpoint', 'Lake view', 1850]]);
+});
+
+test('parseGeoJSON reads line features with coordTimes and point waypoints', () => {
+    const routes = parseGeoJSON(readFixtureText('ride.geojson'), 'ride.geojson');
+
+    assert.equal(routes.length, 2);
+    const [recorded, planned] = routes;
+    assert.equal(recorded.name, 'Engadin – Recorded');
+    assert.deepEqual(recorded.times, [START_TIME, START_TIME + 20000]);
+    assert.equal(recorded.ascent, 10);
+
+    assert.equal(planned.type, 'route');
+    assert.deepEqual(planned.segments, [0, 2]);
+    assert.deepEqual(planned.elevations, [null, null, null, null]);
+    assert.equal(planned.ascent, undefined);
+
+    assert.equal(recorded.waypoints.length, 1);
+    assert.equal(recorded.waypoints[0].name, 'Viewpoint');
+});
+
+test('parseGeoJSON accepts a bare geometry', () => {
+    const routes = parseGeoJSON(JSON.stringify({ type: 'LineString', coordinates: [[9.8, 46.5], [9.8, 46.501]] }), 'line.json');
+
+    assert.equal(routes.length, 1);
+    assert.equal(routes[0].name, 'line');
+});
+
+test('parseFIT reads records with sensors and compressed timestamps', () => {
+    const file = buildFIT([
+        { time: START_TIME, lat: 46.5, lon: 9.8, elevation: 1800, heartRate: 120, cadence: 85, power: 210, temperature: 18 },
+        { time: START_TIME + 5000, lat: 46.5005, lon: 9.8, elevation: 1802, compressed: true },
+        { time: START_TIME + 10000, lat: 46.501, lon: 9.8, elevation: 1804.4, heartRate: 125 }
+    ]);
+    const [route] = parseFIT(file, 'morning.fit');
+
+    assert.equal(route.name, 'morning');
+    assert.equal(route.type, 'track');
+    assert.equal(route.coordinates.length, 3);
+    assert.ok(Math.abs(route.coordinates[1][1] - 46.5005) < 1e-6);
+    assert.deepEqual(route.elevations, [1800, 1802, 1804.4]);
+    assert.deepEqual(route.times, [START_TIME, START_TIME + 5000, START_TIME + 10000]);
+    assert.deepEqual(route.sensors.heartRate, [120, null, 125]);
+    assert.deepEqual(route.sensors.power, [210, null, null]);
+    assert.deepEqual(route.sensors.temperature, [18, null, null]);
+});
+
+test('parseFIT names courses and rejects other files', () => {
+    const file = buildFIT([
+        { time: START_TIME, lat: 46.5, lon: 9.8, elevation: 1800 },
+        { time: START_TIME + 5000, lat: 46.501, lon: 9.8, elevation: 1810 }
+    ], { courseName: 'Albula' });
+    const [route] = parseFIT(file, 'course.fit');
+
+    assert.equal(route.name, 'Albula');
+    assert.equal(route.type, 'route');
+    assert.throws(() => parseFIT(new ArrayBuffer(16), 'empty.fit'), /Invalid FIT file/);
+});
+
+test('importRoutes picks the importer by content before the extension', () => {
+    const gpx = readFixture('ride.gpx');
+
+    assert.equal(findImporter('ride.txt', new Uint8Array(gpx)).name, 'GPX');
+    assert.equal(findImporter('ride.kml', new Uint8Array(0)).name, 'KML');
+    assert.equal(findImporter('notes.txt', new Uint8Array(0)), null);
+    assert.equal(importRoutes(gpx, 'download').length, 2);
+    assert.equal(importRoutes(readFixture('ride.geojson'), 'ride.json').length, 2);
+    assert.equal(importRoutes(new ArrayBuffer(4), 'notes.txt'), null);
+});
+
+test('importRoutes decodes text in the encoding the XML declaration names', () => {
+    const gpx = encoding => `<?xml version="1.0" encoding="${encoding}"?>\n` +
+        '<gpx version="1.1"><trk><name>Caf\u00e9 \u00fcber den Pass \u20ac</name><trkseg><trkpt lat="46.5" lon="9.8"/></trkseg></trk></gpx>';
+    const toArrayBuffer = buffer => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+    // Windows-1252 has the euro sign at 0x80; Latin-1 files are read the same way, as browsers do
+    const latin1 = Buffer.from(gpx('ISO-8859-1').replace('\u20ac', '\x80'), 'latin1');
+    assert.equal(detectTextEncoding(latin1), 'windows-1252');
+    assert.equal(importRoutes(toArrayBuffer(latin1), 'latin1.gpx')[0].name, 'Caf\u00e9 \u00fcber den Pass \u20ac');
+
+    const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(gpx('UTF-16'), 'utf16le')]);
+    assert.equal(detectTextEncoding(utf16), 'utf-16le');
+    assert.equal(importRoutes(toArrayBuffer(utf16), 'download')[0].name, 'Caf\u00e9 \u00fcber den Pass \u20ac');
+
+    // Unknown encodings and files without a declaration are read as UTF-8
+    assert.equal(detectTextEncoding(Buffer.from(gpx('x-unknown'))), 'utf-8');
+    assert.equal(importRoutes(readFixture('ride.geojson'), 'ride.geojson')[0].name, 'Engadin \u2013 Recorded');
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoute, findGlitches, cleanRoute } = require('../core.js');
+
+const START_TIME = Date.UTC(2025, 5, 1, 6, 0, 0);
+
+// One point per second heading north at 5 m/s from 46.5°N 9.8°E, climbing 0.1 m per point
+function recordedRide(length) {
+    return Array.from({ length }, (_, index) => ({
+        lon: 9.8,
+        lat: 46.5 + index * 5 / 111195,
+        elevation: 200 + index * 0.1,
+        time: START_TIME + index * 1000
+    }));
+}
+
+function toRoute(points) {
+    return createRoute({
+        name: 'Recorded ride',
+        coordinates: points.map(({ lon, lat }) => [lon, lat]),
+        elevations: points.map(({ elevation }) => elevation),
+        times: points.map(({ time }) => time)
+    });
+}
+
+test('findGlitches reports duplicates, spikes, elevation dropouts and time reversals', () => {
+    const points = recordedRide(30);
+    points[5] = { ...points[4] }; // Same position and time as the point before
+    points[10] = { ...points[10], lon: 9.81 }; // 760 m east for a second
+    points[15] = { ...points[15], elevation: 0 };
+    points[20] = { ...points[20], time: START_TIME + 12000 };
+    const route = toRoute(points);
+
+    const glitches = findGlitches(route);
+    assert.deepEqual(glitches.duplicates, [5]);
+    assert.deepEqual(glitches.spikes, [10]);
+    assert.deepEqual(glitches.elevations, [15]);
+    assert.deepEqual(glitches.timeReversals, [20]);
+    assert.equal(glitches.total, 4);
+});
+
+test('cleanRoute drops duplicates and spikes and clears bad values', () => {
+    const points = recordedRide(30);
+    points[5] = { ...points[4] };
+    points[10] = { ...points[10], lon: 9.81 };
+    points[15] = { ...points[15], elevation: 0 };
+    points[20] = { ...points[20], time: START_TIME + 12000 };
+    const route = toRoute(points);
+
+    const cleaned = cleanRoute(route, findGlitches(route));
+    assert.equal(cleaned.coordinates.length, 28);
+    assert.ok(cleaned.coordinates.every(([lon]) => lon === 9.8));
+    assert.equal(cleaned.elevations[13], null);
+    assert.equal(cleaned.times[18], null);
+    assert.equal(cleaned.name, route.name);
+    assert.equal(findGlitches(cleaned).total, 0);
+});
+
+test('findGlitches keeps real jumps after a lost fix', () => {
+    // The track continues 2 km further on and never returns
+    const points = recordedRide(20).map((point, index) => index >= 10 ? { ...point, lat: point.lat + 2000 / 111195 } : point);
+
+    assert.equal(findGlitches(toRoute(points)).total, 0);
+});
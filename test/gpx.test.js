@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseGPX } = require('../core.js');
+
+const START_TIME = Date.UTC(2025, 5, 1, 6, 0, 0); // <time> of the first point in ride.gpx
+const gpx = fs.readFileSync(path.join(__dirname, 'fixtures', 'ride.gpx'), 'utf8');
+
+test('parseGPX reads every track and route of a file', () => {
+    const routes = parseGPX(gpx, 'ride.gpx');
+
+    assert.equal(routes.length, 2);
+    const [track, planned] = routes;
+    assert.equal(track.name, 'Morning Ride – Loop');
+    assert.equal(track.type, 'track');
+    assert.equal(planned.name, 'Morning Ride – Way home');
+    assert.equal(planned.type, 'route');
+    assert.equal(planned.startTime, undefined);
+    // Untimed routes are dated by the file metadata
+    assert.equal(planned.date, START_TIME);
+});
+
+test('parseGPX keeps track segments, missing elevations and times', () => {
+    const [track] = parseGPX(gpx, 'ride.gpx');
+
+    assert.deepEqual(track.segments, [0, 2]);
+    assert.deepEqual(track.coordinates[1], [9.8, 46.501]);
+    assert.deepEqual(track.elevations, [1800, 1810, 1820, null]);
+    assert.equal(track.times[0], START_TIME);
+    assert.equal(track.times[3], START_TIME + 620000);
+});
+
+test('segment gaps do not count towards the distance', () => {
+    const [track] = parseGPX(gpx, 'ride.gpx');
+
+    // Two 0.001° steps north; the 0.009° between the segments is left out
+    assert.ok(Math.abs(track.distance - 2 * 111.195) < 0.01);
+    assert.equal(track.distances[2], track.distances[1]);
+});
+
+test('parseGPX attaches file waypoints to the first route', () => {
+    const [track, planned] = parseGPX(gpx, 'ride.gpx');
+
+    assert.equal(track.waypoints.length, 1);
+    assert.equal(track.waypoints[0].name, 'Café stop');
+    assert.equal(track.waypoints[0].sym, 'Restaurant');
+    assert.deepEqual(planned.waypoints, []);
+});
+
+test('parseGPX reads heart rate, cadence and power from the point extensions', () => {
+    const [track] = parseGPX(gpx, 'ride.gpx');
+
+    assert.deepEqual(track.sensors.heartRate, [120, 130, null, null]);
+    assert.deepEqual(track.sensors.power, [180, 200, null, null]);
+    // Zero cadence (coasting) counts towards min and max but not the average
+    assert.deepEqual(track.sensorStats.cadence, { min: 0, max: 80, avg: 80, count: 1 });
+});
+
+test('parseGPX throws on malformed XML', () => {
+    assert.throws(() => parseGPX('<gpx><trk><trkseg></trk></gpx>', 'broken.gpx'), /XML parse error/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoute, isRouteInBounds, filterRoutes } = require('../core.js');
+
+// Route through { north (meters from 46.5°N), lon } points, split into segments at `segments`
+function routeThrough(points, { segments = [] } = {}) {
+    return createRoute({
+        name: 'Route',
+        coordinates: points.map(({ north, lon }) => [lon, 46.5 + north / 111195]),
+        elevations: points.map(() => null),
+        times: points.map(() => null),
+        segments: [0, ...segments]
+    });
+}
+
+// The view spans 9.75–9.85°E and from the route start (46.5°N) 10 km north
+const VIEW = [[9.75, 46.5], [9.85, 46.5 + 10000 / 111195]];
+
+test('isRouteInBounds matches routes with a point in view', () => {
+    const route = routeThrough([{ north: 5000, lon: 9.7 }, { north: 5000, lon: 9.8 }, { north: 20000, lon: 9.8 }]);
+
+    assert.ok(isRouteInBounds(route, VIEW));
+    assert.ok(!isRouteInBounds(routeThrough([{ north: 5000, lon: 9.6 }, { north: 6000, lon: 9.7 }]), VIEW));
+    assert.ok(!isRouteInBounds(routeThrough([]), VIEW));
+});
+
+test('isRouteInBounds matches a straight line crossing the view with both ends outside', () => {
+    const across = routeThrough([{ north: 5000, lon: 9.6 }, { north: 5000, lon: 9.9 }]);
+    const diagonal = routeThrough([{ north: -5000, lon: 9.7 }, { north: 15000, lon: 9.9 }]);
+    // Passes the south-east corner of the view without touching it
+    const corner = routeThrough([{ north: -1000, lon: 9.84 }, { north: 1000, lon: 9.9 }]);
+
+    assert.ok(isRouteInBounds(across, VIEW));
+    assert.ok(isRouteInBounds(diagonal, VIEW));
+    assert.ok(!isRouteInBounds(corner, VIEW));
+    assert.deepEqual(filterRoutes([across, corner], { bounds: VIEW }), [across]);
+});
+
+test('isRouteInBounds does not count the gap between segments', () => {
+    const route = routeThrough([
+        { north: 5000, lon: 9.6 },
+        { north: 6000, lon: 9.6 },
+        { north: 5000, lon: 9.9 },
+        { north: 6000, lon: 9.9 }
+    ], { segments: [2] });
+
+    assert.ok(!isRouteInBounds(route, VIEW));
+});
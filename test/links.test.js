@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoute, encodeRouteLink, decodeRouteLink } = require('../core.js');
+
+// Straight route north from 46.5°N 9.8°E with a point every `spacing` meters
+function straightRoute(name, elevations, spacing, segments) {
+    return createRoute({
+        name,
+        coordinates: elevations.map((_, index) => [9.8, 46.5 + index * spacing / 111195]),
+        elevations,
+        times: elevations.map((_, index) => Date.UTC(2025, 5, 1, 6, 0, index)),
+        segments
+    });
+}
+
+test('route links round-trip points, whole-meter elevations, segments and names', () => {
+    const ride = straightRoute('Ride, with a comma', [1800.5, 1805, 1830, 1828.4], 700, [0, 2]);
+    const route = decodeRouteLink(encodeRouteLink(ride, 100));
+
+    assert.equal(route.name, 'Ride, with a comma');
+    assert.deepEqual(route.segments, ride.segments);
+    assert.equal(route.coordinates.length, ride.coordinates.length);
+    route.coordinates.forEach(([lon, lat], index) => {
+        assert.ok(Math.abs(lon - ride.coordinates[index][0]) < 1e-5);
+        assert.ok(Math.abs(lat - ride.coordinates[index][1]) < 1e-5);
+    });
+    assert.deepEqual(route.elevations, ride.elevations.map(Math.round));
+    // Times are not part of a link
+    assert.ok(route.times.every(time => time === null));
+});
+
+test('route links leave out elevations unless every point has one', () => {
+    const elevations = Array.from({ length: 50 }, (_, index) => index === 3 ? null : 100);
+    const decoded = decodeRouteLink(encodeRouteLink(straightRoute('Gap', elevations, 20), 50));
+
+    assert.ok(decoded.elevations.every(elevation => elevation === null));
+});
+
+test('route links simplify long routes and reject what does not fit', () => {
+    const route = straightRoute('Straight', new Array(50).fill(100), 20);
+
+    // A straight line simplifies to its two ends; nothing fits in one point
+    assert.equal(decodeRouteLink(encodeRouteLink(route, 10)).coordinates.length, 2);
+    assert.equal(encodeRouteLink(route, 1), null);
+    assert.throws(() => decodeRouteLink('not a link'), /Invalid route link/);
+});
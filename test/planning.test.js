@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeDEMElevation, getTilePosition, getTileCoordinates } = require('../core.js');
+
+test('decodeDEMElevation reads Terrarium and Terrain-RGB pixels', () => {
+    // 1834.5 m: 32768 + 1834.5 = 34602.5 -> red 135, green 42, blue 128
+    assert.equal(decodeDEMElevation([135, 42, 128], 'terrarium'), 1834.5);
+    assert.equal(decodeDEMElevation([128, 0, 0], 'terrarium'), 0);
+    // 1834.5 m: (1834.5 + 10000) * 10 = 118345 -> red 1, green 206, blue 73
+    assert.ok(Math.abs(decodeDEMElevation([1, 206, 73], 'mapbox') - 1834.5) < 1e-9);
+    assert.equal(decodeDEMElevation([0, 0, 0], 'mapbox'), -10000);
+});
+
+test('getTilePosition locates a point within its tile', () => {
+    const [x, y] = getTilePosition([9.8, 46.5], 12);
+
+    assert.deepEqual(getTileCoordinates([9.8, 46.5], 12), [Math.floor(x), Math.floor(y)]);
+    assert.deepEqual(getTileCoordinates([9.8, 46.5], 12), [2159, 1448]);
+    assert.ok(Math.abs(x - 2159.5) < 0.01);
+    assert.deepEqual(getTilePosition([0, 0], 1), [1, 1]);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoute, createSegment, findSegmentEfforts, isDuplicateRoute, reverseRoute } = require('../core.js');
+
+const START_TIME = Date.UTC(2025, 5, 1, 6, 0, 0);
+const METERS_PER_DEGREE_LON = 111195 * Math.cos(46.5 * Math.PI / 180);
+
+// Route through { north, east } points (meters from 46.5°N 9.8°E); with `interval`
+// the points are that many seconds apart, otherwise the route is untimed
+function rideThrough(points, interval = null) {
+    return createRoute({
+        name: 'Ride',
+        coordinates: points.map(({ north, east = 0 }) => [9.8 + east / METERS_PER_DEGREE_LON, 46.5 + north / 111195]),
+        elevations: points.map(() => null),
+        times: points.map((_, index) => interval === null ? null : START_TIME + index * interval * 1000)
+    });
+}
+
+test('findSegmentEfforts times each pass in the segment direction', () => {
+    // North 2 km, back south, then north again; 50 m every 10 s
+    const north = Array.from({ length: 41 }, (_, index) => ({ north: index * 50 }));
+    const route = rideThrough([...north, ...north.slice(0, -1).reverse(), ...north.slice(1)], 10);
+    const segment = createSegment(route, 10, 30, 'Middle kilometer');
+
+    assert.ok(Math.abs(segment.distance - 1000) < 0.1);
+    const efforts = findSegmentEfforts(route, segment);
+    assert.deepEqual(efforts.map(effort => [effort.startIndex, effort.endIndex, effort.elapsedTime]), [[10, 30, 200], [90, 110, 200]]);
+    assert.ok(Math.abs(efforts[0].avgSpeed - 5) < 0.01);
+    assert.equal(efforts[0].date, START_TIME + 100000);
+
+    assert.deepEqual(findSegmentEfforts(reverseRoute(rideThrough(north)), segment), []);
+});
+
+test('findSegmentEfforts matches a loop segment that ends where it starts', () => {
+    // Two laps of a 400 m square, 50 m every 10 s, then 200 m north
+    const lap = [];
+    for (let step = 0; step < 32; step++) {
+        const along = (step % 8) * 50;
+        lap.push([{ north: along, east: 0 }, { north: 400, east: along }, { north: 400 - along, east: 400 }, { north: 0, east: 400 - along }][Math.floor(step / 8)]);
+    }
+    const points = [...lap, ...lap, ...[0, 50, 100, 150, 200].map(north => ({ north }))];
+    const route = rideThrough(points, 10);
+    const segment = createSegment(route, 0, 32, 'Square');
+
+    assert.ok(Math.abs(segment.distance - 1600) < 1);
+    const efforts = findSegmentEfforts(route, segment);
+    assert.deepEqual(efforts.map(effort => [effort.startIndex, effort.endIndex, effort.elapsedTime]), [[0, 32, 320], [32, 64, 320]]);
+    // Half a lap is not an effort
+    assert.deepEqual(findSegmentEfforts(rideThrough(points.slice(0, 17)), segment), []);
+});
+
+test('isDuplicateRoute matches the same ride imported twice', () => {
+    const points = Array.from({ length: 20 }, (_, index) => ({ north: index * 100 }));
+    const ride = rideThrough(points, 20);
+    const later = createRoute({ ...rideThrough(points, 20), times: ride.times.map(time => time + 300000) });
+
+    assert.ok(isDuplicateRoute(ride, rideThrough(points, 20)));
+    // Started five minutes later
+    assert.ok(!isDuplicateRoute(ride, later));
+    // Only part of the ride
+    assert.ok(!isDuplicateRoute(ride, rideThrough(points.slice(0, 15), 20)));
+    // A plan of the same route is not the recording
+    assert.ok(!isDuplicateRoute(ride, rideThrough(points)));
+    assert.ok(isDuplicateRoute(rideThrough(points), rideThrough(points)));
+});
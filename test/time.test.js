@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoute, calculateTotals } = require('../core.js');
+
+const START_TIME = Date.UTC(2025, 5, 1, 6, 0, 0);
+
+// Route heading north from 46.5°N 9.8°E through [meters north, seconds after
+// START_TIME] points; a null time leaves the point untimed
+function timedRoute(points, elevations = points.map(() => null)) {
+    return createRoute({
+        name: 'Ride',
+        coordinates: points.map(([north]) => [9.8, 46.5 + north / 111195]),
+        elevations,
+        times: points.map(([, seconds]) => seconds === null ? null : START_TIME + seconds * 1000)
+    });
+}
+
+test('moving time leaves out stops and counts pauses', () => {
+    // 100 m every 10 s, a two minute stop, then 100 m every 10 s again
+    const route = timedRoute([[0, 0], [100, 10], [200, 20], [200, 80], [200, 140], [300, 150], [400, 160]]);
+
+    assert.equal(route.startTime, START_TIME);
+    assert.equal(route.elapsedTime, 160);
+    assert.equal(route.movingTime, 40);
+    assert.equal(route.pauseCount, 1);
+    assert.ok(Math.abs(route.avgSpeed - 10) < 0.01);
+    assert.ok(Math.abs(route.maxSpeed - 10) < 0.01);
+    assert.equal(route.date, START_TIME);
+});
+
+test('routes without timestamps have no time statistics', () => {
+    const route = timedRoute([[0, null], [100, null]]);
+
+    assert.equal(route.startTime, undefined);
+    assert.equal(route.movingTime, undefined);
+    assert.equal(route.avgSpeed, undefined);
+});
+
+test('calculateTotals sums distance, climbing and time', () => {
+    const first = timedRoute([[0, 0], [1000, 100]], [100, 150]);
+    const second = timedRoute([[0, null], [500, null]], [100, 120]);
+
+    const totals = calculateTotals([first, second]);
+    assert.equal(totals.routeCount, 2);
+    assert.ok(Math.abs(totals.distance - 1500) < 0.1);
+    assert.equal(totals.ascent, 70);
+    assert.equal(totals.movingTime, 100);
+    assert.equal(totals.timedRouteCount, 1);
+});
@@ -0,0 +1,96 @@
+// The XML parser used where DOMParser is missing (Node and the import worker),
+// exercised through parseGPX
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGPX } = require('../core.js');
+const fs = require('fs');
+const path = require('path');
+
+// One-point GPX track with `name` as the raw XML of the track name
+function gpxWithName(name) {
+    return `<gpx version="1.1"><trk><name>${name}</name><trkseg><trkpt lat="46.5" lon="9.8"/></trkseg></trk></gpx>`;
+}
+
+test('CDATA sections are read verbatim', () => {
+    const [route] = parseGPX(gpxWithName('<![CDATA[Ride <1> & &amp; more]]>'), 'cdata.gpx');
+
+    assert.equal(route.name, 'Ride <1> & &amp; more');
+});
+
+test('comments, processing instructions and DOCTYPEs are skipped', () => {
+    const gpx = `<?xml version="1.0"?>
+<!DOCTYPE gpx>
+<!-- exported <trk> by hand -->
+<gpx version="1.1">
+  <trk>
+    <name>Pass<!-- not part of the name --> ride</name>
+    <trkseg>
+      <!-- <trkpt lat="0" lon="0"/> -->
+      <trkpt lat="46.5" lon="9.8"></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+    const [route] = parseGPX(gpx, 'comments.gpx');
+
+    assert.equal(route.name, 'Pass ride');
+    assert.deepEqual(route.coordinates, [[9.8, 46.5]]);
+});
+
+test('elements match by local name under any namespace prefix', () => {
+    const gpx = `<g:gpx xmlns:g="http://www.topografix.com/GPX/1/1" xmlns:x="urn:extensions">
+  <g:trk><g:name>Prefixed</g:name><g:trkseg>
+    <g:trkpt lat='46.5' lon='9.8'><g:ele>1800</g:ele><g:extensions><x:TrackPointExtension><x:hr>130</x:hr></x:TrackPointExtension></g:extensions></g:trkpt>
+  </g:trkseg></g:trk>
+</g:gpx>`;
+    const [route] = parseGPX(gpx, 'prefixed.gpx');
+
+    assert.equal(route.name, 'Prefixed');
+    assert.deepEqual(route.elevations, [1800]);
+    assert.deepEqual(route.sensors.heartRate, [130]);
+});
+
+test('entities and character references are decoded in text and attributes', () => {
+    const gpx = `<gpx version="1.1"><wpt lat="46.5" lon="9.8"><name>&lt;Caf&#233; &amp; &#x1F6B2;&gt;</name><desc>&quot;a&apos;&nbsp;</desc></wpt>
+<trk><name>x</name><trkseg><trkpt lat="&#52;6.5" lon="9.8"/></trkseg></trk></gpx>`;
+    const [route] = parseGPX(gpx, 'entities.gpx');
+
+    assert.equal(route.waypoints[0].name, '<Café & 🚲>');
+    // Unknown named entities are kept as written
+    assert.equal(route.waypoints[0].desc, '"a\'&nbsp;');
+    assert.deepEqual(route.coordinates, [[9.8, 46.5]]);
+});
+
+test('character references outside the XML character range are malformed', () => {
+    ['&#x110000;', '&#0;', '&#xD800;', '&#99999999999;'].forEach(reference => {
+        assert.throws(() => parseGPX(gpxWithName(reference), 'bad.gpx'), /XML parse error/, reference);
+    });
+});
+
+test('text keeps its order around child elements', () => {
+    const gpx = '<gpx><wpt lat="46.5" lon="9.8"><desc>before <b>bold</b> after</desc></wpt><trk><trkseg><trkpt lat="46.5" lon="9.8"/></trkseg></trk></gpx>';
+
+    assert.equal(parseGPX(gpx, 'mixed.gpx')[0].waypoints[0].desc, 'before bold after');
+});
+
+test('truncated documents are malformed', () => {
+    const gpx = fs.readFileSync(path.join(__dirname, 'fixtures', 'ride.gpx'), 'utf8');
+    const end = gpx.lastIndexOf('</gpx>');
+
+    for (let length = 1; length < end; length += 7) {
+        assert.throws(() => parseGPX(gpx.slice(0, length), 'truncated.gpx'), /XML parse error/, `cut at ${length}`);
+    }
+});
+
+test('mismatched tags, text outside the root and several roots are malformed', () => {
+    [
+        '<gpx><trk></gpx></trk>',
+        'text<gpx></gpx>',
+        '<gpx></gpx>trailing',
+        '<gpx></gpx><gpx></gpx>',
+        '<gpx><![CDATA[never closed</gpx>',
+        '<gpx><trk name="unterminated></trk></gpx>',
+        ''
+    ].forEach(xml => {
+        assert.throws(() => parseGPX(xml, 'bad.gpx'), /XML parse error/, xml);
+    });
+});